@@ -0,0 +1,202 @@
+import { asUint8Array } from './buffer.js'
+
+/**
+ * @typedef {import('./index.js').EEPROM} EEPROM
+ */
+
+export const DEFAULT_MEMORY_ERASED_VALUE = 0xFF
+
+/**
+ * @typedef {Object} MemoryEEPROMOptions
+ * @property {number} [erasedValue = DEFAULT_MEMORY_ERASED_VALUE] initial value (for a new buffer) and value used by `erase`
+ */
+
+/**
+ * In memory device backed by an `ArrayBuffer`.
+ * @implements {EEPROM}
+ */
+export class MemoryEEPROM {
+	#u8
+	#erasedValue
+
+	/**
+	 * @param {number|ArrayBufferLike|ArrayBufferView} source byte length of a new buffer, or existing memory to use
+	 * @param {MemoryEEPROMOptions} [options]
+	 */
+	constructor(source, options = undefined) {
+		this.#erasedValue = options?.erasedValue ?? DEFAULT_MEMORY_ERASED_VALUE
+		this.#u8 = (typeof source === 'number') ?
+			new Uint8Array(source).fill(this.#erasedValue) :
+			asUint8Array(source)
+	}
+
+	get byteLength() { return this.#u8.byteLength }
+
+	/**
+	 * Direct view of the backing memory.
+	 * @returns {Uint8Array}
+	 */
+	get buffer() { return this.#u8 }
+
+	/**
+	 * @param {number} offset
+	 * @param {number} length
+	 */
+	#check(offset, length) {
+		if(offset < 0 || length < 0 || (offset + length) > this.#u8.byteLength) { throw new Error('out of range') }
+	}
+
+	/**
+	 * @param {number} offset
+	 * @param {number} length
+	 * @returns {Promise<Uint8Array>}
+	 */
+	async read(offset, length) {
+		this.#check(offset, length)
+		return this.#u8.slice(offset, offset + length)
+	}
+
+	/**
+	 * @param {number} offset
+	 * @param {BufferSource} buffer
+	 * @returns {Promise<void>}
+	 */
+	async write(offset, buffer) {
+		this.#check(offset, buffer.byteLength)
+		this.#u8.set(asUint8Array(buffer), offset)
+	}
+
+	/**
+	 * @param {number} offset
+	 * @param {number} length
+	 * @returns {Promise<void>}
+	 */
+	async erase(offset, length) {
+		this.#check(offset, length)
+		this.#u8.fill(this.#erasedValue, offset, offset + length)
+	}
+}
+
+/**
+ * @typedef {Object} FileHandleLike
+ * @property {(buffer: Uint8Array, offset: number, length: number, position: number) => Promise<{ bytesRead: number }>} read
+ * @property {(buffer: Uint8Array, offset: number, length: number, position: number) => Promise<{ bytesWritten: number }>} write
+ */
+
+/**
+ * Device backed by a file (such as a dumped image) using a Node `FileHandle`
+ * (from `fs/promises` `open`), the handle is owned (and closed) by the caller.
+ * @implements {EEPROM}
+ */
+export class FileEEPROM {
+	#handle
+	#byteLength
+
+	/**
+	 * @param {FileHandleLike} handle
+	 * @param {number} byteLength
+	 */
+	constructor(handle, byteLength) {
+		this.#handle = handle
+		this.#byteLength = byteLength
+	}
+
+	get byteLength() { return this.#byteLength }
+
+	/**
+	 * @param {number} offset
+	 * @param {number} length
+	 */
+	#check(offset, length) {
+		if(offset < 0 || length < 0 || (offset + length) > this.#byteLength) { throw new Error('out of range') }
+	}
+
+	/**
+	 * @param {number} offset
+	 * @param {number} length
+	 * @returns {Promise<Uint8Array>}
+	 */
+	async read(offset, length) {
+		this.#check(offset, length)
+
+		const buffer = new Uint8Array(length)
+		const { bytesRead } = await this.#handle.read(buffer, 0, length, offset)
+		if(bytesRead !== length) { throw new Error('short read') }
+
+		return buffer
+	}
+
+	/**
+	 * @param {number} offset
+	 * @param {BufferSource} buffer
+	 * @returns {Promise<void>}
+	 */
+	async write(offset, buffer) {
+		this.#check(offset, buffer.byteLength)
+
+		const bufferU8 = asUint8Array(buffer)
+		const { bytesWritten } = await this.#handle.write(bufferU8, 0, bufferU8.byteLength, offset)
+		if(bytesWritten !== bufferU8.byteLength) { throw new Error('short write') }
+	}
+}
+
+/**
+ * @typedef {Object} ChunkedEEPROMOptions
+ * @property {number} maxTransferSize largest single read or write handed to the device
+ */
+
+/**
+ * Limits the transfer size of reads and writes over a lower level device
+ * (for example an I2C bus with a limited buffer), passing `erase` through.
+ * @implements {EEPROM}
+ */
+export class ChunkedEEPROM {
+	#eeprom
+	#maxTransferSize
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {ChunkedEEPROMOptions} options
+	 */
+	constructor(eeprom, options) {
+		if(!(options?.maxTransferSize > 0)) { throw new Error('invalid transfer size') }
+
+		this.#eeprom = eeprom
+		this.#maxTransferSize = options.maxTransferSize
+
+		// only expose erase when the device supports it (see `flash`)
+		if(typeof eeprom.erase === 'function') {
+			this.erase = (offset, length) => eeprom.erase(offset, length)
+		}
+	}
+
+	/**
+	 * @param {number} offset
+	 * @param {number} length
+	 * @returns {Promise<Uint8Array>}
+	 */
+	async read(offset, length) {
+		const result = new Uint8Array(length)
+
+		for(let position = 0; position < length; position += this.#maxTransferSize) {
+			const chunkLength = Math.min(this.#maxTransferSize, length - position)
+			const chunk = await this.#eeprom.read(offset + position, chunkLength)
+			result.set(asUint8Array(chunk), position)
+		}
+
+		return result
+	}
+
+	/**
+	 * @param {number} offset
+	 * @param {BufferSource} buffer
+	 * @returns {Promise<void>}
+	 */
+	async write(offset, buffer) {
+		const bufferU8 = asUint8Array(buffer)
+
+		for(let position = 0; position < bufferU8.byteLength; position += this.#maxTransferSize) {
+			await this.#eeprom.write(offset + position, bufferU8.subarray(position, position + this.#maxTransferSize))
+		}
+	}
+}
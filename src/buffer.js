@@ -0,0 +1,10 @@
+/**
+ * View (not a copy) of the bytes of a `BufferSource`.
+ * @param {BufferSource} buffer
+ * @returns {Uint8Array}
+ */
+export function asUint8Array(buffer) {
+	return ArrayBuffer.isView(buffer) ?
+		new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength) :
+		new Uint8Array(buffer)
+}
@@ -0,0 +1,238 @@
+import { CyclicFS } from './index.js'
+import { asUint8Array } from './buffer.js'
+
+/**
+ * @typedef {import('./index.js').EEPROM} EEPROM
+ * @typedef {import('./index.js').Metadata} Metadata
+ * @typedef {import('./index.js').CyclicFSOptions} CyclicFSOptions
+ * @typedef {import('./index.js').SearchOptionsBase} SearchOptionsBase
+ * @typedef {import('./index.js').DeviceOptions} DeviceOptions
+ * @typedef {import('./index.js').WriteOptions} WriteOptions
+ */
+
+export const DEFAULT_CACHE_DEBOUNCE = 0
+export const DEFAULT_CACHE_INTERVAL = 0
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {number} [debounce] milliseconds without writes before the pending record is written
+ * @property {number} [interval] minimum milliseconds between device writes
+ */
+
+/**
+ * @typedef {Object} Waiter
+ * @property {() => void} resolve
+ * @property {(reason: any) => void} reject
+ */
+
+/**
+ * @param {Uint8Array|undefined} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function equal(a, b) {
+	if(a === undefined) { return false }
+	if(a.byteLength !== b.byteLength) { return false }
+	return a.every((value, index) => value === b[index])
+}
+
+/**
+ * Keeps the latest record in memory, owning a device and handle pair (as
+ * the only writer).  Writes equal to the latest record are skipped, and with
+ * `debounce` or `interval` set, writes arriving close together are
+ * coalesced into one (the last).
+ */
+export class CyclicCache {
+	#eeprom
+	#handle
+	#debounce
+	#interval
+
+	/** @type {Promise<void>|undefined} */
+	#loading
+	/** @type {Uint8Array|undefined} record on the device (or being written) */
+	#written
+	/** @type {Promise<void>|undefined} */
+	#writing
+	/** @type {Uint8Array|undefined} record not yet written */
+	#pending
+	/** @type {Array<Waiter>} */
+	#waiting = []
+	/** @type {ReturnType<typeof setTimeout>|undefined} */
+	#timer
+	#lastWrite = -Infinity
+	/** @type {Promise<void>} */
+	#queue = Promise.resolve()
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} handle copied, the cache keeps its own
+	 * @param {CacheOptions} [options]
+	 */
+	constructor(eeprom, handle, options = undefined) {
+		this.#eeprom = eeprom
+		this.#handle = { ...handle }
+		this.#debounce = options?.debounce ?? DEFAULT_CACHE_DEBOUNCE
+		this.#interval = options?.interval ?? DEFAULT_CACHE_INTERVAL
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {number} byteLength
+	 * @param {CyclicFSOptions & CacheOptions} [options]
+	 * @returns {Promise<CyclicCache>}
+	 */
+	static async open(eeprom, byteLength, options = undefined) {
+		return new CyclicCache(eeprom, await CyclicFS.init(eeprom, byteLength, options), options)
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {number} [baseAddress]
+	 * @param {SearchOptionsBase & DeviceOptions & WriteOptions & CacheOptions} [options]
+	 * @returns {Promise<CyclicCache>}
+	 */
+	static async mount(eeprom, baseAddress = undefined, options = undefined) {
+		return new CyclicCache(eeprom, await CyclicFS.mount(eeprom, baseAddress, options), options)
+	}
+
+	get eeprom() { return this.#eeprom }
+
+	/**
+	 * Snapshot of the handle.
+	 * @returns {Metadata}
+	 */
+	get handle() { return { ...this.#handle } }
+
+	get version() { return this.#handle.version }
+
+	/** a record is waiting to be written */
+	get dirty() { return this.#pending !== undefined }
+
+	async #load() {
+		this.#loading ??= (async () => {
+			const data = await CyclicFS.read(this.#eeprom, this.#handle)
+			this.#written = data === undefined ? undefined : asUint8Array(data).slice()
+		})().catch(e => {
+			// retry on the next call
+			this.#loading = undefined
+			throw e
+		})
+
+		return this.#loading
+	}
+
+	/**
+	 * Latest record, pending or written (read from the device once).
+	 * @returns {Promise<Uint8Array|undefined>}
+	 */
+	async read() {
+		await this.#load()
+		return (this.#pending ?? this.#written)?.slice()
+	}
+
+	/**
+	 * Resolves once the record (or a later one replacing it) is written.
+	 * @param {BufferSource} buffer
+	 * @returns {Promise<void>}
+	 */
+	async write(buffer) {
+		if(buffer === undefined) { throw new Error('buffer undefined') }
+		const u8 = asUint8Array(buffer).slice()
+
+		await this.#load()
+
+		if(equal(this.#written, u8)) {
+			// back to the record on the device, nothing left to write
+			clearTimeout(this.#timer)
+			this.#timer = undefined
+			this.#pending = undefined
+			this.#settle(this.#waiting.splice(0))
+			return this.#writing
+		}
+
+		if(equal(this.#pending, u8)) { return this.#wait() }
+
+		this.#pending = u8
+		const waiting = this.#wait()
+		this.#schedule()
+		return waiting
+	}
+
+	/**
+	 * @returns {Promise<void>}
+	 */
+	#wait() {
+		return new Promise((resolve, reject) => this.#waiting.push({ resolve, reject }))
+	}
+
+	/**
+	 * @param {Array<Waiter>} waiting
+	 * @param {any} [reason]
+	 */
+	#settle(waiting, reason = undefined) {
+		for(const { resolve, reject } of waiting) {
+			if(reason === undefined) { resolve() }
+			else { reject(reason) }
+		}
+	}
+
+	#schedule() {
+		if(this.#timer !== undefined) {
+			// rate limited only, the scheduled write takes the latest record
+			if(this.#debounce <= 0) { return }
+			clearTimeout(this.#timer)
+		}
+
+		const delay = Math.max(this.#debounce, this.#lastWrite + this.#interval - Date.now(), 0)
+		if(delay === 0) {
+			this.flush().catch(() => undefined)
+			return
+		}
+
+		this.#timer = setTimeout(() => {
+			this.#timer = undefined
+			this.flush().catch(() => undefined)
+		}, delay)
+	}
+
+	/**
+	 * Write the pending record now (for example on shutdown).
+	 * @returns {Promise<void>}
+	 */
+	async flush() {
+		clearTimeout(this.#timer)
+		this.#timer = undefined
+
+		const pending = this.#queue.then(() => this.#flush())
+		this.#queue = pending.catch(() => undefined)
+		return pending
+	}
+
+	async #flush() {
+		const buffer = this.#pending
+		if(buffer === undefined) { return }
+
+		const waiting = this.#waiting.splice(0)
+		const previous = this.#written
+		this.#pending = undefined
+		this.#written = buffer
+		this.#lastWrite = Date.now()
+
+		this.#writing = CyclicFS.write(this.#eeprom, this.#handle, buffer)
+		try {
+			await this.#writing
+		}
+		catch(e) {
+			// the device still holds the previous record
+			if(this.#written === buffer) { this.#written = previous }
+			this.#settle(waiting, e)
+			throw e
+		}
+		finally {
+			this.#writing = undefined
+		}
+
+		this.#settle(waiting)
+	}
+}
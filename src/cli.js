@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+import { open, readFile } from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+
+import {
+	CyclicFS,
+	FileEEPROM,
+	CRYPTO_AES_GCM,
+	CRYPTO_HMAC,
+	CRYPTO_NONE,
+	DEFAULT_BASE_ADDRESS,
+	DEFAULT_VERSION_WIDTH,
+	erasedMarker
+} from './index.js'
+import { asUint8Array } from './buffer.js'
+
+/**
+ * @typedef {import('./index.js').CheckReport} CheckReport
+ * @typedef {import('./index.js').ExportManifest} ExportManifest
+ */
+
+const USAGE = `usage: cyclic-fs <command> <image> [options]
+
+commands:
+  format <image>          format the partition (use --size to create a new image)
+  info <image>            print the handle metadata
+  read <image>            print the latest record
+  write <image> [hex]     write a record given as hex (or --input <file>)
+  list <image>            print records newest to oldest
+  slots <image>           hex dump of every slot with its version
+  fsck <image>            check the partition for inconsistencies (see --repair)
+  stats <image>           wear statistics (see --endurance)
+  export <image>          print the records and options as NDJSON
+  import <image>          format and write the records of an export (--input), keeping
+                          their versions (options default to those of the export, the
+                          length to the rest of the image)
+
+options:
+  --base-address <n>      partition start (default: 0)
+  --length <n>            partition length (default: rest of the image)
+  --stride <n>            slot size, without it a superblock is mounted when present
+  --little-endian         little endian headers
+  --checksum <name>       none, crc8, crc16 or crc32
+  --store-length          header includes the payload length
+  --span                  records may span several slots
+  --superblock            format with (or validate against) a superblock
+  --erased-value <n>      value of erased memory (default: 0xff)
+  --lazy                  lazy format
+  --verify                verified writes (bad slots are skipped)
+  --crypto <name>         none, aes-gcm or hmac
+  --key-file <file>       raw key bytes for crypto (required to read or write a sealed partition)
+  --version-width <n>     version bits, 16, 32 or 64 (default: 32)
+  --size <n>              create the image with this size (format and import only)
+  --endurance <n>         rated write cycles (stats only)
+  --repair                invalidate inconsistent slots (fsck only)
+  --input <file>          record payload file (write), or export file (import)
+  --raw                   print the payload bytes unencoded (read only)
+  --json                  JSON output
+  -h, --help              print this help
+`
+
+const OPTIONS = {
+	'base-address': { type: 'string' },
+	'length': { type: 'string' },
+	'stride': { type: 'string' },
+	'little-endian': { type: 'boolean' },
+	'checksum': { type: 'string' },
+	'store-length': { type: 'boolean' },
+	'span': { type: 'boolean' },
+	'superblock': { type: 'boolean' },
+	'erased-value': { type: 'string' },
+	'lazy': { type: 'boolean' },
+	'verify': { type: 'boolean' },
+	'crypto': { type: 'string' },
+	'key-file': { type: 'string' },
+	'version-width': { type: 'string' },
+	'size': { type: 'string' },
+	'endurance': { type: 'string' },
+	'repair': { type: 'boolean' },
+	'input': { type: 'string' },
+	'raw': { type: 'boolean' },
+	'json': { type: 'boolean' },
+	'help': { type: 'boolean', short: 'h' }
+}
+
+const COMMANDS = [ 'format', 'info', 'read', 'write', 'list', 'slots', 'fsck', 'stats', 'export', 'import' ]
+
+class UsageError extends Error {}
+
+/**
+ * @param {string|undefined} value decimal or 0x prefixed hex
+ * @param {string} name
+ * @returns {number|undefined}
+ */
+function parseNumber(value, name) {
+	if(value === undefined) { return undefined }
+	const number = Number(value)
+	if(!Number.isInteger(number) || number < 0) { throw new UsageError(`invalid ${name}: ${value}`) }
+	return number
+}
+
+/**
+ * @param {BufferSource} buffer
+ * @returns {string}
+ */
+function toHex(buffer) {
+	return [ ...asUint8Array(buffer) ].map(byte => byte.toString(16).padStart(2, '0')).join(' ')
+}
+
+/**
+ * @param {string} text hex bytes, optionally separated by white space
+ * @returns {Uint8Array}
+ */
+function fromHex(text) {
+	const digits = text.replaceAll(/\s/g, '')
+	if(digits.length % 2 !== 0 || /[^0-9a-f]/i.test(digits)) { throw new UsageError('invalid hex data') }
+	return Uint8Array.from(digits.match(/../g) ?? [], pair => parseInt(pair, 16))
+}
+
+/**
+ * @param {number|bigint} version
+ * @param {number} [versionWidth = DEFAULT_VERSION_WIDTH]
+ * @returns {string}
+ */
+function formatVersion(version, versionWidth = DEFAULT_VERSION_WIDTH) {
+	return version.toString(16).padStart(versionWidth / 4, '0')
+}
+
+/**
+ * JSON has no bigint (64-bit versions), use decimal strings.
+ * @param {string} key
+ * @param {any} value
+ */
+function jsonReplacer(key, value) {
+	return typeof value === 'bigint' ? value.toString() : value
+}
+
+/**
+ * @param {Record<string, any>} values
+ */
+function optionsFrom(values) {
+	return {
+		baseAddress: parseNumber(values['base-address'], 'base address') ?? DEFAULT_BASE_ADDRESS,
+		stride: parseNumber(values.stride, 'stride'),
+		littleEndian: values['little-endian'],
+		checksum: values.checksum,
+		storeLength: values['store-length'],
+		span: values.span,
+		superblock: values.superblock,
+		erasedValue: parseNumber(values['erased-value'], 'erased value'),
+		lazy: values.lazy,
+		verify: values.verify,
+		crypto: values.crypto,
+		versionWidth: parseNumber(values['version-width'], 'version width')
+	}
+}
+
+/**
+ * @param {Uint8Array|undefined} keyBytes raw key (from `--key-file`)
+ * @param {string|undefined} crypto
+ * @returns {Promise<CryptoKey|undefined>}
+ */
+async function importKey(keyBytes, crypto) {
+	switch(crypto) {
+		case undefined:
+		case CRYPTO_NONE:
+			return undefined
+		case CRYPTO_AES_GCM:
+		case CRYPTO_HMAC: {
+			if(keyBytes === undefined) { throw new UsageError(`missing --key-file for ${crypto}`) }
+			const algorithm = crypto === CRYPTO_AES_GCM ? { name: 'AES-GCM' } : { name: 'HMAC', hash: 'SHA-256' }
+			const usages = crypto === CRYPTO_AES_GCM ? [ 'encrypt', 'decrypt' ] : [ 'sign', 'verify' ]
+			return globalThis.crypto.subtle.importKey('raw', keyBytes, algorithm, false, usages)
+		}
+		default:
+			throw new UsageError(`invalid crypto: ${crypto}`)
+	}
+}
+
+/**
+ * Open the image, creating it when a `size` is given and it does not exist.
+ * @param {string} path
+ * @param {boolean} writable
+ * @param {number} [size]
+ */
+async function openImage(path, writable, size = undefined) {
+	try {
+		return await open(path, writable ? 'r+' : 'r')
+	}
+	catch(e) {
+		if(e.code !== 'ENOENT' || size === undefined) { throw e }
+
+		const handle = await open(path, 'w+')
+		await handle.truncate(size)
+		return handle
+	}
+}
+
+/**
+ * Mount when no stride was given and a superblock is present, otherwise
+ * initialize using the given options.
+ * @param {FileEEPROM} eeprom
+ * @param {ReturnType<typeof optionsFrom>} options
+ * @param {number} byteLength
+ * @param {Uint8Array} [keyBytes]
+ */
+async function handleFor(eeprom, options, byteLength, keyBytes = undefined) {
+	if(options.stride === undefined) {
+		const superblock = await CyclicFS.readSuperblock(eeprom, options.baseAddress)
+		if(superblock !== undefined) {
+			return CyclicFS.mount(eeprom, options.baseAddress, { key: await importKey(keyBytes, superblock.crypto) })
+		}
+	}
+
+	return CyclicFS.init(eeprom, byteLength, { ...options, key: await importKey(keyBytes, options.crypto) })
+}
+
+/**
+ * @param {string} text NDJSON from `export`
+ * @returns {ExportManifest|undefined} undefined if not parsable (left to `import` to reject)
+ */
+function manifestOf(text) {
+	const line = text.split(/\r?\n/).find(candidate => candidate.trim() !== '')
+	try {
+		return line === undefined ? undefined : JSON.parse(line)
+	}
+	catch(e) {
+		return undefined
+	}
+}
+
+/**
+ * @param {CheckReport} report
+ * @param {number} [versionWidth]
+ * @returns {string}
+ */
+function formatReport(report, versionWidth = undefined) {
+	const { problems, head, ...summary } = report
+	return [
+		...Object.entries(summary).map(([ key, value ]) => `${key}: ${value}\n`),
+		`head: ${head.empty ? 'empty' : formatVersion(head.version, versionWidth)}\n`,
+		...problems.map(({ type, offset, version, expected }) =>
+			`${type.padEnd(15)}  offset ${offset}  version ${formatVersion(version, versionWidth)}  expected ${formatVersion(expected, versionWidth)}\n`)
+	].join('')
+}
+
+/**
+ * @param {Array<string>} args
+ * @param {NodeJS.WritableStream} stdout
+ * @returns {Promise<number>} exit code
+ */
+async function run(args, stdout) {
+	const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true })
+	const [ command, path, data ] = positionals
+
+	if(values.help || command === undefined) {
+		stdout.write(USAGE)
+		return values.help ? 0 : 2
+	}
+
+	if(!COMMANDS.includes(command)) { throw new UsageError(`unknown command: ${command}`) }
+	if(path === undefined) { throw new UsageError('missing image') }
+
+	const options = optionsFrom(values)
+	const size = parseNumber(values.size, 'size')
+	const writable = [ 'format', 'write', 'import' ].includes(command) || (command === 'fsck' && values.repair === true)
+	const keyBytes = values['key-file'] === undefined ? undefined : await readFile(values['key-file'])
+	const print = (json, text) => stdout.write(values.json ? (JSON.stringify(json, jsonReplacer) + '\n') : text)
+
+	const fileHandle = await openImage(path, writable, [ 'format', 'import' ].includes(command) ? size : undefined)
+	try {
+		const { size: imageSize } = await fileHandle.stat()
+		const byteLength = parseNumber(values.length, 'length') ?? (imageSize - options.baseAddress)
+		const eeprom = new FileEEPROM(fileHandle, imageSize)
+
+		switch(command) {
+			case 'format': {
+				await CyclicFS.format(eeprom, byteLength, options)
+				print({ byteLength }, `formatted ${byteLength} bytes\n`)
+				return 0
+			}
+			case 'info': {
+				const handle = await handleFor(eeprom, options, byteLength, keyBytes)
+				// never print the key
+				const { key: _, ...metadata } = handle
+				print(metadata, Object.entries(metadata).map(([ key, value ]) => `${key}: ${value}\n`).join(''))
+				return 0
+			}
+			case 'read': {
+				const handle = await handleFor(eeprom, options, byteLength, keyBytes)
+				const buffer = await CyclicFS.read(eeprom, handle)
+				if(buffer === undefined) { throw new Error('empty') }
+
+				if(values.raw) {
+					stdout.write(asUint8Array(buffer))
+					return 0
+				}
+
+				print({ version: handle.version, data: toHex(buffer) }, toHex(buffer) + '\n')
+				return 0
+			}
+			case 'write': {
+				if((values.input === undefined) && (data === undefined)) { throw new UsageError('missing data') }
+				const buffer = values.input !== undefined ? await readFile(values.input) : fromHex(data)
+				const handle = await handleFor(eeprom, options, byteLength, keyBytes)
+				await CyclicFS.write(eeprom, handle, buffer)
+
+				const { version, versionWidth } = await handleFor(eeprom, options, byteLength, keyBytes)
+				print({ version }, `wrote version ${formatVersion(version, versionWidth)}\n`)
+				return 0
+			}
+			case 'list': {
+				const handle = await handleFor(eeprom, options, byteLength, keyBytes)
+				const records = []
+				for await (const { version, data } of CyclicFS.list(eeprom, handle)) {
+					records.push({ version, data: toHex(data) })
+				}
+				print(records, records.map(({ version, data }) => `${formatVersion(version, handle.versionWidth)}  ${data}\n`).join(''))
+				return 0
+			}
+			case 'slots': {
+				const handle = await handleFor(eeprom, options, byteLength, keyBytes)
+				const marker = erasedMarker(handle.erasedValue, handle.versionWidth)
+				const slots = []
+				for await (const { version, data, valid } of CyclicFS.listSlots(eeprom, handle)) {
+					slots.push({ index: slots.length, version, empty: version === marker, valid, data: toHex(data) })
+				}
+				print(slots, slots.map(({ index, version, empty, valid, data }) => {
+					const status = empty ? 'empty' : (valid ? 'ok' : 'bad')
+					return `${String(index).padStart(4)}  ${formatVersion(version, handle.versionWidth)}  ${status.padEnd(5)}  ${data}\n`
+				}).join(''))
+				return 0
+			}
+			case 'fsck': {
+				const handle = await handleFor(eeprom, options, byteLength, keyBytes)
+				const report = await CyclicFS.check(eeprom, { ...handle, repair: values.repair })
+				print(report, formatReport(report, handle.versionWidth))
+				return report.ok ? 0 : 1
+			}
+			case 'stats': {
+				const handle = await handleFor(eeprom, options, byteLength, keyBytes)
+				const stats = await CyclicFS.stats(eeprom, handle, { endurance: parseNumber(values.endurance, 'endurance') })
+				print(stats, Object.entries(stats).filter(([ , value ]) => value !== undefined).map(([ key, value ]) => `${key}: ${value}\n`).join(''))
+				return 0
+			}
+			case 'export': {
+				const handle = await handleFor(eeprom, options, byteLength, keyBytes)
+				stdout.write(await CyclicFS.export(eeprom, handle))
+				return 0
+			}
+			case 'import': {
+				if(values.input === undefined) { throw new UsageError('missing --input') }
+				const text = await readFile(values.input, 'utf8')
+
+				// only the options given override those of the export, the partition (as for the other commands) is the rest of the image
+				const manifest = manifestOf(text)
+				const baseAddress = parseNumber(values['base-address'], 'base address') ?? manifest?.options?.baseAddress ?? DEFAULT_BASE_ADDRESS
+				const handle = await CyclicFS.import(eeprom, text, {
+					...options,
+					key: await importKey(keyBytes, options.crypto ?? manifest?.options?.crypto),
+					baseAddress,
+					byteLength: parseNumber(values.length, 'length') ?? (imageSize - baseAddress)
+				})
+				print({ version: handle.version, empty: handle.empty }, handle.empty ? 'imported no records\n' : `imported up to version ${formatVersion(handle.version, handle.versionWidth)}\n`)
+				return 0
+			}
+			default:
+				throw new UsageError(`unknown command: ${command}`)
+		}
+	}
+	finally {
+		await fileHandle.close()
+	}
+}
+
+try {
+	process.exitCode = await run(process.argv.slice(2), process.stdout)
+}
+catch(e) {
+	process.stderr.write(`cyclic-fs: ${e.message}\n`)
+	process.exitCode = (e instanceof UsageError || e.code?.startsWith('ERR_PARSE_ARGS')) ? 2 : 1
+}
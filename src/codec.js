@@ -0,0 +1,235 @@
+import { CyclicFS } from './index.js'
+import { asUint8Array } from './buffer.js'
+
+/**
+ * @typedef {import('./index.js').EEPROM} EEPROM
+ * @typedef {import('./index.js').Metadata} Metadata
+ * @typedef {import('./index.js').Version} Version
+ * @typedef {import('./index.js').LayoutOptions} LayoutOptions
+ * @typedef {import('./index.js').HistoryOptions} HistoryOptions
+ */
+
+export const FIELD_U8 = 'u8'
+export const FIELD_I8 = 'i8'
+export const FIELD_U16 = 'u16'
+export const FIELD_I16 = 'i16'
+export const FIELD_U32 = 'u32'
+export const FIELD_I32 = 'i32'
+export const FIELD_F32 = 'f32'
+export const FIELD_F64 = 'f64'
+export const FIELD_BOOL = 'bool'
+export const FIELD_STRING = 'string'
+
+export const SCHEMA_VERSION_SIZE = 2
+
+/**
+ * @typedef {FIELD_U8|FIELD_I8|FIELD_U16|FIELD_I16|FIELD_U32|FIELD_I32|FIELD_F32|FIELD_F64|FIELD_BOOL|FIELD_STRING} FieldType
+ */
+
+/** @type {Record<Exclude<FieldType, FIELD_STRING>, number>} */
+export const FIELD_SIZE = {
+	[FIELD_U8]: 1,
+	[FIELD_I8]: 1,
+	[FIELD_U16]: 2,
+	[FIELD_I16]: 2,
+	[FIELD_U32]: 4,
+	[FIELD_I32]: 4,
+	[FIELD_F32]: 4,
+	[FIELD_F64]: 8,
+	[FIELD_BOOL]: 1
+}
+
+/**
+ * @typedef {Object} Field
+ * @property {string} name
+ * @property {FieldType} type
+ * @property {number} [length] byte length of a (UTF-8, zero padded) `string`
+ */
+
+/**
+ * @typedef {Object} Schema
+ * @property {number} version layout version, stored with each record (16-bit)
+ * @property {Array<Field>} fields
+ */
+
+/**
+ * @typedef {Object} DecodedRecord
+ * @property {number} schemaVersion
+ * @property {Record<string, number|boolean|string>} value
+ */
+
+/**
+ * @typedef {Object} DecodedSlot
+ * @property {Version} version
+ * @property {number} schemaVersion
+ * @property {Record<string, number|boolean|string>} value
+ */
+
+/**
+ * Schema driven payloads, each record is
+ * `Schema Version (2) | Field | Field | ...` (numbers use the partition endianness).
+ * Older records are decoded using the schema matching their stored version.
+ */
+export class CyclicCodec {
+	/**
+	 * @param {Field} field
+	 * @returns {number}
+	 */
+	static #fieldSize(field) {
+		if(field.type === FIELD_STRING) {
+			if(!Number.isInteger(field.length) || field.length <= 0) { throw new Error('invalid string length') }
+			return field.length
+		}
+
+		const size = FIELD_SIZE[field.type]
+		if(size === undefined) { throw new Error('unknown field type') }
+		return size
+	}
+
+	/**
+	 * Encoded byte length of a record.
+	 * @param {Schema} schema
+	 * @returns {number}
+	 */
+	static size(schema) {
+		return schema.fields.reduce((acc, field) => acc + CyclicCodec.#fieldSize(field), SCHEMA_VERSION_SIZE)
+	}
+
+	/**
+	 * Smallest `stride` holding a record of the schema (given the "Header" options).
+	 * @param {Schema} schema
+	 * @param {LayoutOptions} [options]
+	 * @returns {number}
+	 */
+	static stride(schema, options = undefined) {
+		return CyclicFS.headerSize(options) + CyclicCodec.size(schema)
+	}
+
+	/**
+	 * @param {Schema} schema
+	 * @param {Record<string, number|boolean|string>} value
+	 * @param {boolean} littleEndian
+	 * @returns {Uint8Array}
+	 */
+	static encode(schema, value, littleEndian) {
+		const record = new Uint8Array(CyclicCodec.size(schema))
+		const dv = new DataView(record.buffer)
+
+		dv.setUint16(0, schema.version, littleEndian)
+
+		let offset = SCHEMA_VERSION_SIZE
+		for(const field of schema.fields) {
+			const { name, type } = field
+			const fieldValue = value[name]
+			if(fieldValue === undefined) { throw new Error(`missing field ${name}`) }
+
+			switch(type) {
+				case FIELD_U8: dv.setUint8(offset, fieldValue); break
+				case FIELD_I8: dv.setInt8(offset, fieldValue); break
+				case FIELD_U16: dv.setUint16(offset, fieldValue, littleEndian); break
+				case FIELD_I16: dv.setInt16(offset, fieldValue, littleEndian); break
+				case FIELD_U32: dv.setUint32(offset, fieldValue, littleEndian); break
+				case FIELD_I32: dv.setInt32(offset, fieldValue, littleEndian); break
+				case FIELD_F32: dv.setFloat32(offset, fieldValue, littleEndian); break
+				case FIELD_F64: dv.setFloat64(offset, fieldValue, littleEndian); break
+				case FIELD_BOOL: dv.setUint8(offset, fieldValue ? 1 : 0); break
+				case FIELD_STRING: {
+					const encoded = new TextEncoder().encode(fieldValue)
+					if(encoded.byteLength > field.length) { throw new Error(`string too long ${name}`) }
+					record.set(encoded, offset)
+					break
+				}
+				default: throw new Error('unknown field type')
+			}
+
+			offset += CyclicCodec.#fieldSize(field)
+		}
+
+		return record
+	}
+
+	/**
+	 * @param {Schema|Array<Schema>} schemas current schema, or all known schema versions
+	 * @param {BufferSource} data
+	 * @param {boolean} littleEndian
+	 * @returns {DecodedRecord}
+	 */
+	static decode(schemas, data, littleEndian) {
+		const u8 = asUint8Array(data)
+		const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength)
+
+		if(u8.byteLength < SCHEMA_VERSION_SIZE) { throw new Error('record too short') }
+		const schemaVersion = dv.getUint16(0, littleEndian)
+
+		const schema = [ schemas ].flat().find(({ version }) => version === schemaVersion)
+		if(schema === undefined) { throw new Error('unknown schema version') }
+		if(u8.byteLength < CyclicCodec.size(schema)) { throw new Error('record too short') }
+
+		/** @type {Record<string, number|boolean|string>} */
+		const value = {}
+
+		let offset = SCHEMA_VERSION_SIZE
+		for(const field of schema.fields) {
+			const { name, type } = field
+
+			switch(type) {
+				case FIELD_U8: value[name] = dv.getUint8(offset); break
+				case FIELD_I8: value[name] = dv.getInt8(offset); break
+				case FIELD_U16: value[name] = dv.getUint16(offset, littleEndian); break
+				case FIELD_I16: value[name] = dv.getInt16(offset, littleEndian); break
+				case FIELD_U32: value[name] = dv.getUint32(offset, littleEndian); break
+				case FIELD_I32: value[name] = dv.getInt32(offset, littleEndian); break
+				case FIELD_F32: value[name] = dv.getFloat32(offset, littleEndian); break
+				case FIELD_F64: value[name] = dv.getFloat64(offset, littleEndian); break
+				case FIELD_BOOL: value[name] = dv.getUint8(offset) !== 0; break
+				case FIELD_STRING: {
+					const bytes = u8.subarray(offset, offset + field.length)
+					const end = bytes.indexOf(0)
+					value[name] = new TextDecoder().decode(end === -1 ? bytes : bytes.subarray(0, end))
+					break
+				}
+				default: throw new Error('unknown field type')
+			}
+
+			offset += CyclicCodec.#fieldSize(field)
+		}
+
+		return { schemaVersion, value }
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {Schema} schema
+	 * @param {Record<string, number|boolean|string>} value
+	 * @returns {Promise<void>}
+	 */
+	static async writeRecord(eeprom, metadata, schema, value) {
+		return CyclicFS.write(eeprom, metadata, CyclicCodec.encode(schema, value, metadata.littleEndian))
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {Schema|Array<Schema>} schemas
+	 * @returns {Promise<DecodedRecord|undefined>}
+	 */
+	static async readRecord(eeprom, metadata, schemas) {
+		const data = await CyclicFS.read(eeprom, metadata)
+		if(data === undefined) { return undefined }
+		return CyclicCodec.decode(schemas, data, metadata.littleEndian)
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {Schema|Array<Schema>} schemas
+	 * @param {HistoryOptions} [options]
+	 * @returns {AsyncGenerator<DecodedSlot>}
+	 */
+	static async *list(eeprom, metadata, schemas, options = undefined) {
+		for await (const { version, data } of CyclicFS.list(eeprom, metadata, options)) {
+			yield { version, ...CyclicCodec.decode(schemas, data, metadata.littleEndian) }
+		}
+	}
+}
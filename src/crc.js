@@ -0,0 +1,112 @@
+export const CHECKSUM_NONE = 'none'
+export const CHECKSUM_CRC8 = 'crc8'
+export const CHECKSUM_CRC16 = 'crc16'
+export const CHECKSUM_CRC32 = 'crc32'
+
+/**
+ * @typedef {CHECKSUM_NONE|CHECKSUM_CRC8|CHECKSUM_CRC16|CHECKSUM_CRC32} Checksum
+ */
+
+/** @type {Record<Checksum, number>} */
+export const CHECKSUM_SIZE = {
+	[CHECKSUM_NONE]: 0,
+	[CHECKSUM_CRC8]: 1,
+	[CHECKSUM_CRC16]: 2,
+	[CHECKSUM_CRC32]: 4
+}
+
+/**
+ * CRC-8/SMBUS (poly 0x07, init 0x00)
+ * @param {Uint8Array} u8
+ * @returns {number}
+ */
+export function crc8(u8) {
+	let crc = 0x00
+	for(const byte of u8) {
+		crc ^= byte
+		for(let bit = 0; bit < 8; bit += 1) {
+			crc = (crc & 0x80) ? ((crc << 1) ^ 0x07) : (crc << 1)
+		}
+		crc &= 0xFF
+	}
+	return crc
+}
+
+/**
+ * CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF)
+ * @param {Uint8Array} u8
+ * @returns {number}
+ */
+export function crc16(u8) {
+	let crc = 0xFFFF
+	for(const byte of u8) {
+		crc ^= byte << 8
+		for(let bit = 0; bit < 8; bit += 1) {
+			crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1)
+		}
+		crc &= 0xFFFF
+	}
+	return crc
+}
+
+/**
+ * CRC-32/ISO-HDLC (reflected poly 0xEDB88320, init / xor-out 0xFFFFFFFF)
+ * @param {Uint8Array} u8
+ * @returns {number}
+ */
+export function crc32(u8) {
+	let crc = 0xFF_FF_FF_FF
+	for(const byte of u8) {
+		crc ^= byte
+		for(let bit = 0; bit < 8; bit += 1) {
+			crc = (crc & 1) ? ((crc >>> 1) ^ 0xED_B8_83_20) : (crc >>> 1)
+		}
+	}
+	return (crc ^ 0xFF_FF_FF_FF) >>> 0
+}
+
+/**
+ * @param {Checksum} checksum
+ * @param {Uint8Array} u8
+ * @returns {number}
+ */
+export function computeChecksum(checksum, u8) {
+	switch(checksum) {
+		case CHECKSUM_CRC8: return crc8(u8)
+		case CHECKSUM_CRC16: return crc16(u8)
+		case CHECKSUM_CRC32: return crc32(u8)
+		default: throw new Error('unknown checksum')
+	}
+}
+
+/**
+ * @param {Checksum} checksum
+ * @param {DataView} dv
+ * @param {number} offset
+ * @param {boolean} littleEndian
+ * @returns {number}
+ */
+export function getChecksum(checksum, dv, offset, littleEndian) {
+	switch(checksum) {
+		case CHECKSUM_CRC8: return dv.getUint8(offset)
+		case CHECKSUM_CRC16: return dv.getUint16(offset, littleEndian)
+		case CHECKSUM_CRC32: return dv.getUint32(offset, littleEndian)
+		default: throw new Error('unknown checksum')
+	}
+}
+
+/**
+ * @param {Checksum} checksum
+ * @param {DataView} dv
+ * @param {number} offset
+ * @param {number} value
+ * @param {boolean} littleEndian
+ */
+export function setChecksum(checksum, dv, offset, value, littleEndian) {
+	switch(checksum) {
+		case CHECKSUM_CRC8: dv.setUint8(offset, value); break
+		case CHECKSUM_CRC16: dv.setUint16(offset, value, littleEndian); break
+		case CHECKSUM_CRC32: dv.setUint32(offset, value, littleEndian); break
+		default: throw new Error('unknown checksum')
+	}
+}
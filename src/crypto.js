@@ -0,0 +1,134 @@
+export const CRYPTO_NONE = 'none'
+export const CRYPTO_AES_GCM = 'aes-gcm'
+export const CRYPTO_HMAC = 'hmac'
+
+export const AES_GCM_NONCE_SIZE = 12
+export const AES_GCM_TAG_SIZE = 16
+export const HMAC_TAG_SIZE = 16
+
+/**
+ * @typedef {CRYPTO_NONE|CRYPTO_AES_GCM|CRYPTO_HMAC} Crypto
+ */
+
+/**
+ * Bytes stored ahead of the payload (nonce and / or tag).
+ * @type {Record<Crypto, number>}
+ */
+export const CRYPTO_OVERHEAD = {
+	[CRYPTO_NONE]: 0,
+	[CRYPTO_AES_GCM]: AES_GCM_NONCE_SIZE + AES_GCM_TAG_SIZE,
+	[CRYPTO_HMAC]: HMAC_TAG_SIZE
+}
+
+/**
+ * @param {CryptoKey|undefined} key
+ * @returns {CryptoKey}
+ */
+function requireKey(key) {
+	if(key === undefined) { throw new Error('key required') }
+	return key
+}
+
+/**
+ * HMAC-SHA-256 truncated to `HMAC_TAG_SIZE`.
+ * @param {CryptoKey} key
+ * @param {Uint8Array} associated
+ * @param {Uint8Array} u8
+ * @returns {Promise<Uint8Array>}
+ */
+async function hmacTag(key, associated, u8) {
+	const message = new Uint8Array(associated.byteLength + u8.byteLength)
+	message.set(associated)
+	message.set(u8, associated.byteLength)
+
+	const signature = await globalThis.crypto.subtle.sign('HMAC', key, message)
+	return new Uint8Array(signature, 0, HMAC_TAG_SIZE)
+}
+
+/**
+ * Authenticate (and for AES-GCM encrypt) a payload, binding the associated data.
+ * The result is `Nonce (12) | Tag (16) | Ciphertext` for AES-GCM and
+ * `Tag (16) | Plaintext` for HMAC.
+ * @param {Crypto} crypto
+ * @param {CryptoKey|undefined} key
+ * @param {Uint8Array} associated
+ * @param {Uint8Array} u8
+ * @returns {Promise<Uint8Array>}
+ */
+export async function seal(crypto, key, associated, u8) {
+	const overhead = CRYPTO_OVERHEAD[crypto]
+	if(overhead === undefined) { throw new Error('unknown crypto') }
+
+	const sealed = new Uint8Array(overhead + u8.byteLength)
+
+	switch(crypto) {
+		case CRYPTO_NONE:
+			sealed.set(u8)
+			break
+		case CRYPTO_AES_GCM: {
+			const iv = globalThis.crypto.getRandomValues(new Uint8Array(AES_GCM_NONCE_SIZE))
+			const encrypted = new Uint8Array(await globalThis.crypto.subtle.encrypt(
+				{ name: 'AES-GCM', iv, additionalData: associated, tagLength: AES_GCM_TAG_SIZE * 8 },
+				requireKey(key),
+				u8))
+
+			// WebCrypto appends the tag, it is stored ahead of the ciphertext (at a fixed offset)
+			sealed.set(iv)
+			sealed.set(encrypted.subarray(u8.byteLength), AES_GCM_NONCE_SIZE)
+			sealed.set(encrypted.subarray(0, u8.byteLength), overhead)
+			break
+		}
+		case CRYPTO_HMAC:
+			sealed.set(await hmacTag(requireKey(key), associated, u8))
+			sealed.set(u8, overhead)
+			break
+		default: throw new Error('unknown crypto')
+	}
+
+	return sealed
+}
+
+/**
+ * @param {Crypto} crypto
+ * @param {CryptoKey|undefined} key
+ * @param {Uint8Array} associated
+ * @param {Uint8Array} sealed as returned by `seal`
+ * @returns {Promise<Uint8Array|undefined>} undefined if authentication fails
+ */
+export async function unseal(crypto, key, associated, sealed) {
+	const overhead = CRYPTO_OVERHEAD[crypto]
+	if(overhead === undefined) { throw new Error('unknown crypto') }
+	if(sealed.byteLength < overhead) { return undefined }
+
+	const payload = sealed.subarray(overhead)
+
+	switch(crypto) {
+		case CRYPTO_NONE:
+			return payload
+		case CRYPTO_AES_GCM: {
+			const encrypted = new Uint8Array(payload.byteLength + AES_GCM_TAG_SIZE)
+			encrypted.set(payload)
+			encrypted.set(sealed.subarray(AES_GCM_NONCE_SIZE, overhead), payload.byteLength)
+
+			try {
+				return new Uint8Array(await globalThis.crypto.subtle.decrypt(
+					{ name: 'AES-GCM', iv: sealed.slice(0, AES_GCM_NONCE_SIZE), additionalData: associated, tagLength: AES_GCM_TAG_SIZE * 8 },
+					requireKey(key),
+					encrypted))
+			}
+			catch(e) {
+				if(e.name === 'OperationError') { return undefined }
+				throw e
+			}
+		}
+		case CRYPTO_HMAC: {
+			const expected = await hmacTag(requireKey(key), associated, payload)
+			const tag = sealed.subarray(0, overhead)
+
+			// compare every byte (no early exit)
+			const difference = expected.reduce((acc, value, index) => acc | (value ^ tag[index]), 0)
+			return difference === 0 ? payload : undefined
+		}
+		default: throw new Error('unknown crypto')
+	}
+}
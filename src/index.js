@@ -1,13 +1,141 @@
+import {
+	CHECKSUM_CRC16,
+	CHECKSUM_CRC32,
+	CHECKSUM_CRC8,
+	CHECKSUM_NONE,
+	CHECKSUM_SIZE,
+	computeChecksum,
+	crc32,
+	getChecksum,
+	setChecksum
+} from './crc.js'
+import {
+	CRYPTO_AES_GCM,
+	CRYPTO_HMAC,
+	CRYPTO_NONE,
+	CRYPTO_OVERHEAD,
+	seal,
+	unseal
+} from './crypto.js'
+import { asUint8Array } from './buffer.js'
+
+export * from './crc.js'
+export * from './crypto.js'
+export * from './adapters.js'
+export * from './kv.js'
+export * from './codec.js'
+export * from './store.js'
+export * from './transaction.js'
+export * from './cache.js'
 
 export const DEFAULT_BASE_ADDRESS = 0
 export const DEFAULT_STRIDE = 32
 export const DEFAULT_LITTLE_ENDIAN = false
 export const DEFAULT_FULL_SCAN = false
+export const DEFAULT_CHECKSUM = CHECKSUM_NONE
+export const DEFAULT_CRYPTO = CRYPTO_NONE
+export const DEFAULT_STORE_LENGTH = false
+export const DEFAULT_SPAN = false
+export const DEFAULT_SUPERBLOCK = false
+export const DEFAULT_ERASED_VALUE = 0xFF
+export const DEFAULT_LAZY = false
+export const DEFAULT_FLASH = false
+export const DEFAULT_SECTOR_SIZE = 4096
+export const DEFAULT_PAGE_SIZE = Infinity
+export const DEFAULT_MAX_TRANSFER_SIZE = Infinity
+export const DEFAULT_REFRESH_STALE = false
+export const DEFAULT_VERIFY = false
+export const DEFAULT_VERIFY_RETRIES = 2
+export const DEFAULT_ENDURANCE = 1_000_000
+
+export const ORDER_NEWEST_FIRST = 'newest-first'
+export const ORDER_OLDEST_FIRST = 'oldest-first'
+export const DEFAULT_ORDER = ORDER_NEWEST_FIRST
+export const DEFAULT_REPAIR = false
+export const DEFAULT_MIGRATE_COUNT = Infinity
+
+export const EXPORT_FORMAT = 'cyclic-fs'
+export const EXPORT_FORMAT_VERSION = 1
+
+export const VERSION_WIDTH_16 = 16
+export const VERSION_WIDTH_32 = 32
+export const VERSION_WIDTH_64 = 64
+export const DEFAULT_VERSION_WIDTH = VERSION_WIDTH_32
 
+export const PROBLEM_INVALID = 'invalid'
+export const PROBLEM_DUPLICATE = 'duplicate'
+export const PROBLEM_NON_MONOTONIC = 'non-monotonic'
+export const PROBLEM_GAP = 'gap'
+export const PROBLEM_STRAY_EMPTY = 'stray-empty'
+export const PROBLEM_SEARCH_MISMATCH = 'search-mismatch'
+export const DEFAULT_PROBE_STRIDES = [ 8, 16, 32, 64, 128, 256 ]
+export const DEFAULT_PROBE_DIVISIONS = [ 1, 2, 4 ]
+export const DEFAULT_PROBE_VERSION_WIDTHS = [ VERSION_WIDTH_32, VERSION_WIDTH_16, VERSION_WIDTH_64 ]
+
+/**
+ * Header size of the default layout only (a 32-bit "Version" and no other fields).
+ * @deprecated use `CyclicFS.headerSize(options)`, which accounts for every option
+ */
 export const HEADER_SIZE = 4
+/** @type {Record<VersionWidth, number>} */
+export const VERSION_SIZE = {
+	[VERSION_WIDTH_16]: 2,
+	[VERSION_WIDTH_32]: 4,
+	[VERSION_WIDTH_64]: 8
+}
+export const LENGTH_SIZE = 2
+export const SEGMENT_SIZE = 2
+export const MAX_SEGMENT_COUNT = 0xFF
+
+export const SUPERBLOCK_MAGIC = 0x43_59_46_53 // CYFS
+export const SUPERBLOCK_LAYOUT_VERSION = 1
+export const SUPERBLOCK_SIZE = 32
+
+const SUPERBLOCK_FLAG_LITTLE_ENDIAN = 0x01
+const SUPERBLOCK_FLAG_STORE_LENGTH = 0x02
+const SUPERBLOCK_FLAG_SPAN = 0x04
+const SUPERBLOCK_FLAG_LAZY = 0x08
+const SUPERBLOCK_FLAG_FLASH = 0x10
+const SUPERBLOCK_FLAG_VERIFY = 0x20
+
+/** @type {Array<Checksum>} */
+const SUPERBLOCK_CHECKSUMS = [ CHECKSUM_NONE, CHECKSUM_CRC8, CHECKSUM_CRC16, CHECKSUM_CRC32 ]
+const SUPERBLOCK_CRYPTOS = [ CRYPTO_NONE, CRYPTO_AES_GCM, CRYPTO_HMAC ]
+/** @type {Array<VersionWidth>} */
+const SUPERBLOCK_VERSION_WIDTHS = [ VERSION_WIDTH_32, VERSION_WIDTH_16, VERSION_WIDTH_64 ]
 export const HEADER_INIT_VALUE8 = 0xFF
 export const HEADER_INIT_VALUE32 = 0xFF_FF_FF_FF
 
+/** @type {Record<VersionWidth, { modulus: Version, topBit: Version }>} */
+const VERSION_SPACES = {
+	[VERSION_WIDTH_16]: { modulus: 0x1_00_00, topBit: 0x80_00 },
+	[VERSION_WIDTH_32]: { modulus: 0x1_00_00_00_00, topBit: 0x80_00_00_00 },
+	[VERSION_WIDTH_64]: { modulus: 0x1_00_00_00_00_00_00_00_00n, topBit: 0x80_00_00_00_00_00_00_00n }
+}
+
+// bytes per `String.fromCharCode` call (spread arguments are bounded by the stack)
+const BASE64_CHUNK_SIZE = 0x80_00
+
+/**
+ * Pending write per handle, keeping the handle itself a plain (clone-able) object.
+ * @type {WeakMap<Metadata, Promise<void>>}
+ */
+const WRITE_QUEUES = new WeakMap()
+
+/**
+ * The device was written by another handle (or writer) since this handle
+ * was initialized (or last refreshed).
+ */
+export class StaleHandleError extends Error {
+	/**
+	 * @param {string} [message]
+	 */
+	constructor(message = 'stale handle') {
+		super(message)
+		this.name = 'StaleHandleError'
+	}
+}
+
 /**
  * @param {number} start
  * @param {number} end
@@ -20,18 +148,149 @@ export function* range(start, end, step = 1) {
 }
 
 /**
+ * @param {VersionWidth} width
+ * @returns {{ modulus: Version, topBit: Version }}
+ */
+function versionSpace(width) {
+	const space = VERSION_SPACES[width]
+	if(space === undefined) { throw new Error('unknown version width') }
+	return space
+}
+
+/**
+ * Width assumed when none is given, `bigint` versions are 64-bit.
+ * @param {Version} version
+ * @returns {VersionWidth}
+ */
+function impliedWidth(version) {
+	return typeof version === 'bigint' ? VERSION_WIDTH_64 : DEFAULT_VERSION_WIDTH
+}
+
+/**
+ * @param {number|bigint} value
+ * @param {VersionWidth} width
+ * @returns {Version} a `bigint` for 64-bit versions
+ */
+function asVersion(value, width) {
+	return width === VERSION_WIDTH_64 ? BigInt(value) : Number(value)
+}
+
+/**
+ * @param {DataView} dv
+ * @param {number} offset
+ * @param {VersionWidth} width
+ * @param {boolean} littleEndian
+ * @returns {Version}
+ */
+function getVersion(dv, offset, width, littleEndian) {
+	switch(width) {
+		case VERSION_WIDTH_16: return dv.getUint16(offset, littleEndian)
+		case VERSION_WIDTH_32: return dv.getUint32(offset, littleEndian)
+		case VERSION_WIDTH_64: return dv.getBigUint64(offset, littleEndian)
+		default: throw new Error('unknown version width')
+	}
+}
+
+/**
+ * @param {DataView} dv
+ * @param {number} offset
+ * @param {Version} version
+ * @param {VersionWidth} width
+ * @param {boolean} littleEndian
+ */
+function setVersion(dv, offset, version, width, littleEndian) {
+	switch(width) {
+		case VERSION_WIDTH_16: dv.setUint16(offset, Number(version), littleEndian); break
+		case VERSION_WIDTH_32: dv.setUint32(offset, Number(version), littleEndian); break
+		case VERSION_WIDTH_64: dv.setBigUint64(offset, BigInt(version), littleEndian); break
+		default: throw new Error('unknown version width')
+	}
+}
+
+/**
+ * Next version in sequence, rolling over to zero while never issuing
+ * the erased marker.
+ * @param {Version} version
+ * @param {Version} [marker] defaults to the marker of `DEFAULT_ERASED_VALUE`
+ * @param {VersionWidth} [width] defaults to 64 for `bigint` versions, `DEFAULT_VERSION_WIDTH` otherwise
+ * @returns {Version}
+ */
+export function incrementVersion(version, marker = undefined, width = impliedWidth(version)) {
+	const { modulus } = versionSpace(width)
+	const one = asVersion(1, width)
+	const erased = marker ?? erasedMarker(DEFAULT_ERASED_VALUE, width)
+
+	const next = (version + one) % modulus
+	return next === erased ? (next + one) % modulus : next
+}
+
+/**
+ * The erased marker (an empty slots version) for a given erased byte value.
+ * @param {number} erasedValue
+ * @param {VersionWidth} [width = DEFAULT_VERSION_WIDTH]
+ * @returns {Version}
+ */
+export function erasedMarker(erasedValue, width = DEFAULT_VERSION_WIDTH) {
+	const header = new Uint8Array(VERSION_SIZE[width] ?? 0).fill(erasedValue)
+	return getVersion(new DataView(header.buffer), 0, width, false)
+}
+
+/**
+ * Distance from `b` forward to `a`, modulo the version space.
+ * @param {Version} a
+ * @param {Version} b
+ * @param {VersionWidth} [width] defaults to 64 for `bigint` versions, `DEFAULT_VERSION_WIDTH` otherwise
+ * @returns {Version}
+ */
+export function versionDistance(a, b, width = impliedWidth(a)) {
+	const { modulus } = versionSpace(width)
+	return (a - b + modulus) % modulus
+}
+
+/**
+ * Serial number arithmetic (RFC 1982) comparison that survives roll over,
+ * valid as long as the compared versions are less than half the version
+ * space apart (always true for versions within a single ring, as `format`
+ * and `init` reject rings of half the version space or more slots).
+ * @param {Version} a
+ * @param {Version} b
+ * @param {VersionWidth} [width] defaults to 64 for `bigint` versions, `DEFAULT_VERSION_WIDTH` otherwise
+ * @returns {number} negative if `a` is older, positive if newer, zero if equal
+ */
+export function compareVersion(a, b, width = impliedWidth(a)) {
+	if(a === b) { return 0 }
+	return versionDistance(a, b, width) < versionSpace(width).topBit ? 1 : -1
+}
+
+/**
+ * Storage device, see `MemoryEEPROM`, `FileEEPROM` and `ChunkedEEPROM` for reference implementations.
  * @typedef {Object} EEPROM
- *
+ * @property {(offset: number, length: number) => Promise<BufferSource>} read read `length` bytes starting at `offset`
+ * @property {(offset: number, buffer: BufferSource) => Promise<void>} write write all of `buffer` starting at `offset`
+ * @property {(offset: number, length: number) => Promise<void>} [erase] erase `length` bytes starting at `offset` (required by `flash`)
  */
 
 /**
- * @typedef {number} Version
+ * @typedef {import('./crc.js').Checksum} Checksum
+ * @typedef {import('./crypto.js').Crypto} Crypto
+ */
+
+/**
+ * A `bigint` for 64-bit partitions.
+ * @typedef {number|bigint} Version
+ */
+
+/**
+ * @typedef {VERSION_WIDTH_16|VERSION_WIDTH_32|VERSION_WIDTH_64} VersionWidth
  */
 
 /**
  * @typedef {Object} Slot
  * @property {Version} version
  * @property {BufferSource} data
+ * @property {boolean} valid checksum and stored length matched (always true when neither is configured)
+ * @property {number} [segment] index of this slot within its record (span only)
+ * @property {number} [segmentCount] number of slots of its record (span only)
  */
 
 /**
@@ -40,32 +299,240 @@ export function* range(start, end, step = 1) {
  * @property {number} [stride = DEFAULT_STRIDE]
  * @property {boolean} [littleEndian = DEFAULT_LITTLE_ENDIAN]
  * @property {boolean} [fullScan = DEFAULT_FULL_SCAN]
+ * @property {Checksum} [checksum = DEFAULT_CHECKSUM]
+ * @property {boolean} [storeLength = DEFAULT_STORE_LENGTH]
+ * @property {boolean} [span = DEFAULT_SPAN]
+ * @property {boolean} [superblock = DEFAULT_SUPERBLOCK]
+ * @property {number} [erasedValue = DEFAULT_ERASED_VALUE]
+ * @property {boolean} [lazy = DEFAULT_LAZY]
+ * @property {boolean} [flash = DEFAULT_FLASH]
+ * @property {number} [sectorSize = DEFAULT_SECTOR_SIZE]
+ * @property {number} [pageSize = DEFAULT_PAGE_SIZE]
+ * @property {number} [maxTransferSize = DEFAULT_MAX_TRANSFER_SIZE]
+ * @property {boolean} [refreshStale = DEFAULT_REFRESH_STALE]
+ * @property {boolean} [verify = DEFAULT_VERIFY]
+ * @property {number} [verifyRetries = DEFAULT_VERIFY_RETRIES]
+ * @property {Crypto} [crypto = DEFAULT_CRYPTO]
+ * @property {CryptoKey} [key]
+ * @property {VersionWidth} [versionWidth = DEFAULT_VERSION_WIDTH]
+ */
+
+/**
+ * @typedef {Object} FlashOptions
+ * @property {boolean} [flash = DEFAULT_FLASH] NOR flash device, sectors are erased (using `eeprom.erase`) ahead of the ring
+ * @property {number} [sectorSize = DEFAULT_SECTOR_SIZE] erase sector size of the flash device
+ */
+
+/**
+ * @typedef {Object} DeviceOptions
+ * @property {number} [pageSize = DEFAULT_PAGE_SIZE] device write page size, writes never cross a page boundary
+ * @property {number} [maxTransferSize = DEFAULT_MAX_TRANSFER_SIZE] largest single write handed to the device
+ */
+
+/**
+ * @typedef {Object} WriteOptions
+ * @property {boolean} [refreshStale = DEFAULT_REFRESH_STALE] refresh a stale handle on `write` (instead of rejecting with `StaleHandleError`)
+ * @property {number} [verifyRetries = DEFAULT_VERIFY_RETRIES] re-writes of a slot failing verification before it is marked bad
  */
 
 /**
  * @typedef {Object} VersionOptions
  * @property {number} baseAddress
  * @property {boolean} littleEndian
+ * @property {number} [erasedValue = DEFAULT_ERASED_VALUE] byte value of erased memory, the repeated value marks an empty slot
+ * @property {boolean} [lazy = DEFAULT_LAZY] slots are only invalidated right before first use (instead of by `format`)
+ * @property {boolean} [verify = DEFAULT_VERIFY] writes are read back, slots failing are marked bad (and skipped)
+ * @property {VersionWidth} [versionWidth = DEFAULT_VERSION_WIDTH] bits of the "Version" (64-bit versions are `bigint`)
  */
 
 /**
  * @typedef {Object} ConfigOptions
  * @property {number} byteLength
  * @property {number} stride
+ * @property {boolean} [superblock = DEFAULT_SUPERBLOCK]
+ * @property {boolean} [flash = DEFAULT_FLASH]
+ * @property {number} [sectorSize = DEFAULT_SECTOR_SIZE]
+ */
+
+/**
+ * @typedef {Object} Ring
+ * @property {number} address absolute address of the first slot
+ * @property {number} byteLength length of the slot area
+ */
+
+/**
+ * @typedef {Object} Superblock
+ * @property {number} layoutVersion
+ * @property {number} byteLength partition length (including the superblock)
+ * @property {number} stride
+ * @property {boolean} littleEndian
+ * @property {Checksum} checksum
+ * @property {boolean} storeLength
+ * @property {boolean} span
+ * @property {number} erasedValue
+ * @property {boolean} lazy
+ * @property {boolean} flash
+ * @property {number} sectorSize
+ * @property {boolean} verify
+ * @property {Crypto} crypto
+ * @property {VersionWidth} versionWidth
+ */
+
+/**
+ * @typedef {Object} LayoutOptions
+ * @property {Checksum} [checksum = DEFAULT_CHECKSUM]
+ * @property {boolean} [storeLength = DEFAULT_STORE_LENGTH]
+ * @property {boolean} [span = DEFAULT_SPAN]
+ * @property {Crypto} [crypto = DEFAULT_CRYPTO] authenticated (`hmac`) or also encrypted (`aes-gcm`) "Data", with the "Header" as associated data
+ * @property {VersionWidth} [versionWidth = DEFAULT_VERSION_WIDTH]
+ */
+
+/**
+ * @typedef {Object} KeyOptions
+ * @property {CryptoKey} [key] AES-GCM or HMAC (SHA-256) key, required unless `crypto` is `none`
+ */
+
+/**
+ * @typedef {Object} Layout
+ * @property {boolean} span
+ * @property {number} segmentOffset
+ * @property {number} segmentSize
+ * @property {boolean} storeLength
+ * @property {number} lengthOffset
+ * @property {number} lengthSize
+ * @property {Checksum} checksum
+ * @property {number} checksumOffset
+ * @property {number} checksumSize
+ * @property {Crypto} crypto
+ * @property {number} cryptoOffset
+ * @property {number} cryptoSize nonce and / or tag
+ * @property {number} dataOffset
+ * @property {number} capacity usable "Data" bytes per slot
  */
 
 /**
- * @typedef {VersionOptions & ConfigOptions} ListOptions
+ * @typedef {VersionOptions & ConfigOptions & LayoutOptions & KeyOptions} ListOptions
  *
  */
 
+/**
+ * @typedef {ORDER_NEWEST_FIRST|ORDER_OLDEST_FIRST} Order
+ */
+
+/**
+ * @typedef {Object} HistoryOptions
+ * @property {Order} [order = DEFAULT_ORDER]
+ * @property {number} [limit] maximum number of records
+ * @property {Version} [fromVersion] oldest record version (inclusive)
+ * @property {Version} [toVersion] newest record version (inclusive)
+ */
+
 /**
  * @typedef {Object} SearchOptionsBase
  * @property {boolean} [fullScan = DEFAULT_FULL_SCAN]
  */
 
 /**
- * @typedef {VersionOptions & ConfigOptions & SearchOptionsBase} SearchOptions
+ * @typedef {VersionOptions & ConfigOptions & LayoutOptions & KeyOptions & FlashOptions & DeviceOptions & WriteOptions & SearchOptionsBase} SearchOptions
+ */
+
+/**
+ * @typedef {Object} ProbeOptions
+ * @property {Array<number>} [strides = DEFAULT_PROBE_STRIDES] candidate strides
+ * @property {Array<number>} [divisions = DEFAULT_PROBE_DIVISIONS] candidate partition splits (of equal size) of the image
+ * @property {Array<VersionWidth>} [versionWidths = DEFAULT_PROBE_VERSION_WIDTHS] candidate version widths
+ */
+
+/**
+ * @typedef {Object} ProbeCandidate
+ * @property {number} baseAddress
+ * @property {number} byteLength
+ * @property {number} stride
+ * @property {boolean} littleEndian
+ * @property {VersionWidth} versionWidth
+ * @property {boolean} superblock
+ * @property {number} score fit to a cyclic pattern from 0 to 1
+ * @property {number} written count of non-empty slots
+ * @property {number} sequential count of slots directly followed by their next version
+ */
+
+/**
+ * @typedef {Object} StatsOptions
+ * @property {number} [endurance = DEFAULT_ENDURANCE] rated write (or erase, for flash) cycles of the device
+ * @property {number} [writeRate] observed record writes per second, used to estimate the time to wear-out
+ */
+
+/**
+ * @typedef {Object} Stats
+ * @property {number} slotCount
+ * @property {number} badSlots slots marked bad (when verifying)
+ * @property {number} totalWrites slot writes since format (modulo the version space)
+ * @property {boolean} lowerBound the ring has wrapped, thus the "Versions" may have rolled over and the estimate is a lower bound
+ * @property {number} cycles completed passes over the ring
+ * @property {number} writesPerSlot writes of the most written slot
+ * @property {number} endurance
+ * @property {number} remainingPercent estimated remaining lifetime
+ * @property {number|undefined} secondsRemaining estimated time to wear-out (when a `writeRate` is given)
+ */
+
+/**
+ * @typedef {Object} CheckOptionsBase
+ * @property {boolean} [repair = DEFAULT_REPAIR] invalidate inconsistent slots (keeping the ring ordered)
+ */
+
+/**
+ * @typedef {SearchOptions & CheckOptionsBase} CheckOptions
+ */
+
+/**
+ * @typedef {PROBLEM_INVALID|PROBLEM_DUPLICATE|PROBLEM_NON_MONOTONIC|PROBLEM_GAP|PROBLEM_STRAY_EMPTY|PROBLEM_SEARCH_MISMATCH} ProblemType
+ */
+
+/**
+ * @typedef {Object} Problem
+ * @property {ProblemType} type
+ * @property {number} offset slot offset within the ring
+ * @property {Version} version version found
+ * @property {Version} expected version implied by the slot position (the linear search result for `search-mismatch`)
+ */
+
+/**
+ * @typedef {Object} CheckReport
+ * @property {boolean} ok no problems found
+ * @property {number} slotCount
+ * @property {number} written non-empty slots
+ * @property {number} empty empty (or, when lazy, un-initialized) slots
+ * @property {number} badSlots slots marked bad (when verifying)
+ * @property {SearchResult} head newest slot of the consistent version chain
+ * @property {Array<Problem>} problems newest first
+ * @property {number} repaired slots invalidated by `repair`
+ */
+
+/**
+ * @typedef {Object} MigrateOptionsBase
+ * @property {number} byteLength target partition length
+ * @property {number} [count = DEFAULT_MIGRATE_COUNT] newest records to copy
+ */
+
+/**
+ * @typedef {CyclicFSOptions & MigrateOptionsBase} MigrateOptions
+ */
+
+/**
+ * @typedef {Object} ExportManifest
+ * @property {EXPORT_FORMAT} format
+ * @property {number} formatVersion
+ * @property {Required<Pick<CyclicFSOptions, 'baseAddress'|'stride'|'littleEndian'|'checksum'|'storeLength'|'span'|'superblock'|'erasedValue'|'lazy'|'flash'|'sectorSize'|'verify'|'crypto'|'versionWidth'>> & { byteLength: number }} options
+ */
+
+/**
+ * @typedef {Object} ExportRecord
+ * @property {number|string} version decimal string for 64-bit versions
+ * @property {string} data base64
+ */
+
+/**
+ * @typedef {CyclicFSOptions & { byteLength?: number }} ImportOptions
  */
 
 /**
@@ -88,7 +555,40 @@ export class CyclicFS {
 	 */
 	static async format(eeprom, byteLength, options = undefined) {
 		const baseAddress = options?.baseAddress ?? DEFAULT_BASE_ADDRESS
-		return eeprom.write(baseAddress, Uint8Array.from([ ...range(0, byteLength - 1).map(value => HEADER_INIT_VALUE8) ]))
+		const stride = options?.stride ?? DEFAULT_STRIDE
+		const superblock = options?.superblock ?? DEFAULT_SUPERBLOCK
+		const erasedValue = options?.erasedValue ?? DEFAULT_ERASED_VALUE
+		const lazy = options?.lazy ?? DEFAULT_LAZY
+		const flash = options?.flash ?? DEFAULT_FLASH
+		const sectorSize = options?.sectorSize ?? DEFAULT_SECTOR_SIZE
+
+		const ring = CyclicFS.#ring({ baseAddress, byteLength, stride, superblock, flash, sectorSize })
+		if(superblock && (ring.byteLength < stride)) { throw new Error('byteLength too small for superblock') }
+		CyclicFS.#validateVersionWidth({ baseAddress, byteLength, stride, superblock, flash, sectorSize, versionWidth: options?.versionWidth })
+
+		if(flash) {
+			CyclicFS.#validateFlash({ baseAddress, byteLength, stride, superblock, lazy, flash, sectorSize })
+
+			for(const address of range(baseAddress, baseAddress + byteLength - 1, sectorSize)) {
+				await CyclicFS.#deviceErase(eeprom, address, sectorSize)
+			}
+
+			if(superblock) {
+				await CyclicFS.#deviceWrite(eeprom, baseAddress, CyclicFS.#encodeSuperblock(byteLength, options), options)
+			}
+
+			return
+		}
+
+		// lazy only initializes the superblock (if any) and the first slot
+		const formatLength = lazy ? (ring.address - baseAddress) + stride : byteLength
+
+		const block = Uint8Array.from([ ...range(0, formatLength - 1).map(value => erasedValue) ])
+		if(superblock) {
+			block.set(CyclicFS.#encodeSuperblock(byteLength, options))
+		}
+
+		return CyclicFS.#deviceWrite(eeprom, baseAddress, block, options)
 	}
 
 	/**
@@ -102,14 +602,71 @@ export class CyclicFS {
 		const stride = options?.stride ?? DEFAULT_STRIDE
 		const littleEndian = options?.littleEndian ?? DEFAULT_LITTLE_ENDIAN
 		const fullScan = options?.fullScan ?? DEFAULT_FULL_SCAN
+		const checksum = options?.checksum ?? DEFAULT_CHECKSUM
+		const storeLength = options?.storeLength ?? DEFAULT_STORE_LENGTH
+		const span = options?.span ?? DEFAULT_SPAN
+		const superblock = options?.superblock ?? DEFAULT_SUPERBLOCK
+		const erasedValue = options?.erasedValue ?? DEFAULT_ERASED_VALUE
+		const lazy = options?.lazy ?? DEFAULT_LAZY
+		const flash = options?.flash ?? DEFAULT_FLASH
+		const sectorSize = options?.sectorSize ?? DEFAULT_SECTOR_SIZE
+		const pageSize = options?.pageSize ?? DEFAULT_PAGE_SIZE
+		const maxTransferSize = options?.maxTransferSize ?? DEFAULT_MAX_TRANSFER_SIZE
+		const refreshStale = options?.refreshStale ?? DEFAULT_REFRESH_STALE
+		const verify = options?.verify ?? DEFAULT_VERIFY
+		const verifyRetries = options?.verifyRetries ?? DEFAULT_VERIFY_RETRIES
+		const crypto = options?.crypto ?? DEFAULT_CRYPTO
+		const key = options?.key
+		const versionWidth = options?.versionWidth ?? DEFAULT_VERSION_WIDTH
 
 		const meta = {
 			baseAddress,
 			stride,
 			littleEndian,
 			byteLength,
-			fullScan
+			fullScan,
+			checksum,
+			storeLength,
+			span,
+			superblock,
+			erasedValue,
+			lazy,
+			flash,
+			sectorSize,
+			pageSize,
+			maxTransferSize,
+			refreshStale,
+			verify,
+			verifyRetries,
+			crypto,
+			key,
+			versionWidth
+		}
+
+		CyclicFS.#validateVersionWidth(meta)
+
+		if(superblock) {
+			const onDevice = await CyclicFS.readSuperblock(eeprom, baseAddress)
+			if(onDevice === undefined) { throw new Error('superblock not found') }
+
+			const matches = (onDevice.byteLength === byteLength) &&
+				(onDevice.stride === stride) &&
+				(onDevice.littleEndian === littleEndian) &&
+				(onDevice.checksum === checksum) &&
+				(onDevice.storeLength === storeLength) &&
+				(onDevice.span === span) &&
+				(onDevice.erasedValue === erasedValue) &&
+				(onDevice.lazy === lazy) &&
+				(onDevice.flash === flash) &&
+				(onDevice.verify === verify) &&
+				(onDevice.crypto === crypto) &&
+				(onDevice.versionWidth === versionWidth) &&
+				(!flash || (onDevice.sectorSize === sectorSize))
+			if(!matches) { throw new Error('superblock miss-match') }
 		}
+
+		if(flash) { CyclicFS.#validateFlash(meta) }
+
 		const metameta = await CyclicFS.#search(eeprom, meta)
 		return {
 			...meta,
@@ -118,172 +675,1118 @@ export class CyclicFS {
 	}
 
 	/**
+	 * Initialize a partition formatted with a superblock, using the options
+	 * recorded on the device.
 	 * @param {EEPROM} eeprom
-	 * @param {number} offset
-	 * @param {VersionOptions & ConfigOptions} options
-	 * @returns {Promise<Slot>}
+	 * @param {number} [baseAddress = DEFAULT_BASE_ADDRESS]
+	 * @param {SearchOptionsBase & DeviceOptions & WriteOptions & KeyOptions} [options]
+	 * @returns {Promise<Metadata>}
 	 */
-	static async #readSlot(eeprom, offset, options) {
-		const { baseAddress, littleEndian, stride } = options
-
-		const block = await eeprom.read(baseAddress + offset, stride)
-
-		const headerDV = ArrayBuffer.isView(block) ?
-			new DataView(block.buffer, block.byteOffset, HEADER_SIZE) :
-			new DataView(block, 0, HEADER_SIZE)
-
-		const version = headerDV.getUint32(0, littleEndian)
-
-		const blockU8 = ArrayBuffer.isView(block) ?
-			new Uint8Array(block.buffer, block.byteOffset, block.byteLength) :
-			new Uint8Array(block)
+	static async mount(eeprom, baseAddress = DEFAULT_BASE_ADDRESS, options = undefined) {
+		const superblock = await CyclicFS.readSuperblock(eeprom, baseAddress)
+		if(superblock === undefined) { throw new Error('superblock not found') }
 
-		const data = blockU8.subarray(HEADER_SIZE)
+		const { byteLength, stride, littleEndian, checksum, storeLength, span, erasedValue, lazy, flash, sectorSize, verify, crypto, versionWidth } = superblock
 
-		return {
-			version,
-			data
-		}
+		return CyclicFS.init(eeprom, byteLength, {
+			baseAddress,
+			stride,
+			littleEndian,
+			checksum,
+			storeLength,
+			span,
+			erasedValue,
+			lazy,
+			flash,
+			sectorSize,
+			verify,
+			crypto,
+			versionWidth,
+			key: options?.key,
+			fullScan: options?.fullScan,
+			pageSize: options?.pageSize,
+			maxTransferSize: options?.maxTransferSize,
+			refreshStale: options?.refreshStale,
+			verifyRetries: options?.verifyRetries,
+			superblock: true
+		})
 	}
 
 	/**
 	 * @param {EEPROM} eeprom
-	 * @param {Metadata} metadata
-	 * @returns {Promise<BufferSource|undefined>}
+	 * @param {number} [baseAddress = DEFAULT_BASE_ADDRESS]
+	 * @returns {Promise<Superblock|undefined>} undefined if no valid superblock is present
 	 */
-	static async read(eeprom, metadata) {
-		const { version, offset, empty } = metadata
-		if(empty) { return undefined }
+	static async readSuperblock(eeprom, baseAddress = DEFAULT_BASE_ADDRESS) {
+		const block = asUint8Array(await eeprom.read(baseAddress, SUPERBLOCK_SIZE))
+		const dv = new DataView(block.buffer, block.byteOffset, block.byteLength)
+
+		if(dv.getUint32(0) !== SUPERBLOCK_MAGIC) { return undefined }
+		if(dv.getUint32(SUPERBLOCK_SIZE - 4) !== crc32(block.subarray(0, SUPERBLOCK_SIZE - 4))) { return undefined }
 
-		const { version: slotVersion, data } = await CyclicFS.#readSlot(eeprom, offset, metadata)
-		if(slotVersion !== version) { throw new Error('version miss-match') }
+		const layoutVersion = dv.getUint8(4)
+		if(layoutVersion !== SUPERBLOCK_LAYOUT_VERSION) { throw new Error('unsupported superblock layout version') }
 
-		return data
+		const flags = dv.getUint8(5)
+		const checksum = SUPERBLOCK_CHECKSUMS[dv.getUint8(6)]
+		if(checksum === undefined) { throw new Error('unknown checksum') }
+		const crypto = SUPERBLOCK_CRYPTOS[dv.getUint8(17)]
+		if(crypto === undefined) { throw new Error('unknown crypto') }
+		const versionWidth = SUPERBLOCK_VERSION_WIDTHS[dv.getUint8(7)]
+		if(versionWidth === undefined) { throw new Error('unknown version width') }
+
+		return {
+			layoutVersion,
+			byteLength: dv.getUint32(12),
+			stride: dv.getUint32(8),
+			littleEndian: (flags & SUPERBLOCK_FLAG_LITTLE_ENDIAN) !== 0,
+			checksum,
+			storeLength: (flags & SUPERBLOCK_FLAG_STORE_LENGTH) !== 0,
+			span: (flags & SUPERBLOCK_FLAG_SPAN) !== 0,
+			erasedValue: dv.getUint8(16),
+			lazy: (flags & SUPERBLOCK_FLAG_LAZY) !== 0,
+			flash: (flags & SUPERBLOCK_FLAG_FLASH) !== 0,
+			sectorSize: dv.getUint32(20),
+			verify: (flags & SUPERBLOCK_FLAG_VERIFY) !== 0,
+			crypto,
+			versionWidth
+		}
 	}
 
 	/**
-	 * @param {EEPROM} eeprom
-	 * @param {Metadata} metadata
-	 * @param {BufferSource} buffer
-	 * @returns {Promise<void>}
+	 * Superblock fields are always big-endian.
+	 *
+	 * | offset | size | field           |
+	 * |--------|------|-----------------|
+	 * | 0      | 4    | magic           |
+	 * | 4      | 1    | layout version  |
+	 * | 5      | 1    | flags           |
+	 * | 6      | 1    | checksum        |
+	 * | 7      | 1    | version width   |
+	 * | 8      | 4    | stride          |
+	 * | 12     | 4    | byteLength      |
+	 * | 16     | 1    | erased value    |
+	 * | 17     | 1    | crypto          |
+	 * | 20     | 4    | sector size     |
+	 * | 28     | 4    | crc32 of 0..27  |
+	 *
+	 * @param {number} byteLength
+	 * @param {CyclicFSOptions} [options]
+	 * @returns {Uint8Array}
 	 */
-	static async write(eeprom, metadata, buffer) {
-		const { version, offset, stride, littleEndian, empty, byteLength } = metadata
-		if(buffer === undefined) { throw new Error('buffer undefined') }
-		if((buffer.byteLength + HEADER_SIZE) > stride) { throw new Error('buffer size larger then stride') }
-
-		const wrap = (offset + stride) >= byteLength
-
-		const nextVersion = empty ? version : version + 1
-		const nextOffset = empty ? offset : wrap ? 0 : offset + stride
+	static #encodeSuperblock(byteLength, options) {
+		const stride = options?.stride ?? DEFAULT_STRIDE
+		const littleEndian = options?.littleEndian ?? DEFAULT_LITTLE_ENDIAN
+		const checksum = options?.checksum ?? DEFAULT_CHECKSUM
+		const storeLength = options?.storeLength ?? DEFAULT_STORE_LENGTH
+		const span = options?.span ?? DEFAULT_SPAN
+		const erasedValue = options?.erasedValue ?? DEFAULT_ERASED_VALUE
+		const lazy = options?.lazy ?? DEFAULT_LAZY
+		const flash = options?.flash ?? DEFAULT_FLASH
+		const sectorSize = options?.sectorSize ?? DEFAULT_SECTOR_SIZE
+		const verify = options?.verify ?? DEFAULT_VERIFY
+		const crypto = options?.crypto ?? DEFAULT_CRYPTO
+		const versionWidth = options?.versionWidth ?? DEFAULT_VERSION_WIDTH
 
-		const header = new Uint8Array(HEADER_SIZE)
-		const headerDV = new DataView(header.buffer)
-		headerDV.setUint32(0, nextVersion, littleEndian)
+		const checksumId = SUPERBLOCK_CHECKSUMS.indexOf(checksum)
+		if(checksumId < 0) { throw new Error('unknown checksum') }
+		const cryptoId = SUPERBLOCK_CRYPTOS.indexOf(crypto)
+		if(cryptoId < 0) { throw new Error('unknown crypto') }
+		const versionWidthId = SUPERBLOCK_VERSION_WIDTHS.indexOf(versionWidth)
+		if(versionWidthId < 0) { throw new Error('unknown version width') }
 
-		const blob = new Blob([ header, buffer ])
-		const block = await blob.arrayBuffer()
+		const flags = (littleEndian ? SUPERBLOCK_FLAG_LITTLE_ENDIAN : 0) |
+			(storeLength ? SUPERBLOCK_FLAG_STORE_LENGTH : 0) |
+			(span ? SUPERBLOCK_FLAG_SPAN : 0) |
+			(lazy ? SUPERBLOCK_FLAG_LAZY : 0) |
+			(flash ? SUPERBLOCK_FLAG_FLASH : 0) |
+			(verify ? SUPERBLOCK_FLAG_VERIFY : 0)
 
-		await eeprom.write(metadata.baseAddress + nextOffset, block)
+		const block = new Uint8Array(SUPERBLOCK_SIZE)
+		const dv = new DataView(block.buffer)
+		dv.setUint32(0, SUPERBLOCK_MAGIC)
+		dv.setUint8(4, SUPERBLOCK_LAYOUT_VERSION)
+		dv.setUint8(5, flags)
+		dv.setUint8(6, checksumId)
+		dv.setUint8(7, versionWidthId)
+		dv.setUint32(8, stride)
+		dv.setUint32(12, byteLength)
+		dv.setUint8(16, erasedValue)
+		dv.setUint8(17, cryptoId)
+		dv.setUint32(20, flash ? sectorSize : 0)
+		dv.setUint32(SUPERBLOCK_SIZE - 4, crc32(block.subarray(0, SUPERBLOCK_SIZE - 4)))
 
-		metadata.version = nextVersion
-		metadata.offset = nextOffset
-		metadata.empty = false
+		return block
 	}
 
 	/**
-	 * @param {EEPROM} eeprom
-	 * @param {number} offset
-	 * @param {VersionOptions} options
-	 * @returns {Promise<Version>}
+	 * Versions of the ring must stay within half the version space (see `compareVersion`).
+	 * @param {ConfigOptions & VersionOptions & { baseAddress: number }} options
 	 */
-	static async #readVersion(eeprom, offset, options) {
-		const { baseAddress, littleEndian } = options
+	static #validateVersionWidth(options) {
+		const { topBit } = versionSpace(CyclicFS.#versionWidth(options))
+		if(CyclicFS.slotCount(options) >= topBit) { throw new Error('too many slots for version width') }
+	}
 
-		const header = await eeprom.read(baseAddress + offset, HEADER_SIZE)
-		const dv = ArrayBuffer.isView(header) ?
-			new DataView(header.buffer, header.byteOffset, header.byteLength) :
-			new DataView(header)
+	/**
+	 * @param {ConfigOptions & VersionOptions} options
+	 */
+	static #validateFlash(options) {
+		const { baseAddress, stride } = options
+		const sectorSize = options.sectorSize ?? DEFAULT_SECTOR_SIZE
+		const { address, byteLength } = CyclicFS.#ring(options)
 
-		return dv.getUint32(0, littleEndian)
+		if(options.lazy) { throw new Error('lazy not supported on flash') }
+		if((sectorSize % stride) !== 0) { throw new Error('stride must divide sectorSize') }
+		if(((baseAddress % sectorSize) !== 0) || ((address % sectorSize) !== 0) || ((byteLength % sectorSize) !== 0)) {
+			throw new Error('partition not sector aligned')
+		}
+		// the latest record must survive erasing the next sector
+		if(byteLength < (sectorSize * 2)) { throw new Error('flash requires at least two sectors') }
 	}
 
 	/**
 	 * @param {EEPROM} eeprom
-	 * @param {SearchOptions} options
-	 * @returns {Promise<SearchResult>}
+	 * @param {number} address
+	 * @param {number} length
+	 * @returns {Promise<void>}
 	 */
-	static async #search(eeprom, options) {
-		const { fullScan } = options
-		if(fullScan) { return CyclicFS.#search_linear(eeprom, options) }
-		return CyclicFS.#search_binary(eeprom, options)
+	static async #deviceErase(eeprom, address, length) {
+		if(typeof eeprom.erase !== 'function') { throw new Error('flash requires eeprom erase') }
+		return eeprom.erase(address, length)
 	}
 
 	/**
+	 * Splits a write at device page boundaries and into transfers of at most `maxTransferSize`.
 	 * @param {EEPROM} eeprom
-	 * @param {SearchOptions} options
-	 * @returns {Promise<SearchResult>}
+	 * @param {number} address
+	 * @param {Uint8Array} block
+	 * @param {DeviceOptions} [options]
+	 * @returns {Promise<void>}
 	 */
-	static async #search_linear(eeprom, options) {
-		const { byteLength, stride } = options
-
-		const result = {
-			version: 0,
-			offset: 0,
-			empty: true
-		}
+	static async #deviceWrite(eeprom, address, block, options) {
+		const pageSize = options?.pageSize ?? DEFAULT_PAGE_SIZE
+		const maxTransferSize = options?.maxTransferSize ?? DEFAULT_MAX_TRANSFER_SIZE
+		if(!(pageSize > 0) || !(maxTransferSize > 0)) { throw new Error('invalid page or transfer size') }
 
-		for(const offset of range(0, byteLength - 1, stride)) {
-			const version = await CyclicFS.#readVersion(eeprom, offset, options)
-			if(version === HEADER_INIT_VALUE32) { break }
+		let position = 0
+		while(position < block.byteLength) {
+			const target = address + position
+			const pageRemaining = pageSize - (target % pageSize)
+			const length = Math.min(block.byteLength - position, pageRemaining, maxTransferSize)
 
-			if(version > result.version || result.empty) {
-				result.version = version
-				result.offset = offset
-				result.empty = false
-			}
+			await eeprom.write(target, block.subarray(position, position + length))
+			position += length
 		}
+	}
 
-		return result
+	/**
+	 * Number of slots in the ring (excluding any superblock).
+	 * @param {ConfigOptions & { baseAddress: number }} options
+	 * @returns {number}
+	 */
+	static slotCount(options) {
+		return Math.floor(CyclicFS.#ring(options).byteLength / options.stride)
 	}
 
 	/**
-	 * @param {EEPROM} eeprom
-	 * @param {SearchOptions} options
-	 * @returns {Promise<SearchResult>}
+	 * Size of the full slot "Header" (thus the offset of the "Data").
+	 * @param {LayoutOptions} [options]
+	 * @returns {number}
 	 */
-	static async #search_binary(eeprom, options) {
-		const { byteLength, stride } = options
+	static headerSize(options = undefined) {
+		return CyclicFS.#layout({ stride: 0, ...options }).dataOffset
+	}
 
-		async function _search(startPos, endPos, startValue) {
-			if(startPos === endPos) {
-				return { version: startValue, offset: startPos * stride, empty: false }
-			}
+	/**
+	 * Largest record a partition always holds (the "Data" capacity, of up to
+	 * 255 "Slots" when spanning).  Spanning records are limited to the slots
+	 * not held by the previous record, half the ring is always free (less a
+	 * sector for flash, as the last sector entered is erased entirely).
+	 * @param {ConfigOptions & LayoutOptions & { baseAddress: number }} options
+	 * @returns {number}
+	 */
+	static maxRecordLength(options) {
+		const { capacity, span } = CyclicFS.#layout(options)
+		if(!span) { return capacity }
 
-			const pivot = Math.floor(startPos + (endPos - startPos) / 2)
-			const pivotValue = await CyclicFS.#readVersion(eeprom, pivot * stride, options)
+		const slack = (options.flash ?? DEFAULT_FLASH) ? ((options.sectorSize ?? DEFAULT_SECTOR_SIZE) / options.stride) - 1 : 0
+		const segments = Math.floor((CyclicFS.slotCount(options) - slack) / 2)
+		return capacity * Math.max(0, Math.min(MAX_SEGMENT_COUNT, segments))
+	}
 
-			if((pivotValue < startValue) || (pivotValue === HEADER_INIT_VALUE32)) {
-				// Pivot Left
-				return _search(startPos, pivot - 1, startValue)
-			}
+	/**
+	 * The slot area, following the superblock (rounded up to a whole slot,
+	 * or sector for flash) when present.
+	 * @param {ConfigOptions & { baseAddress: number }} options
+	 * @returns {Ring}
+	 */
+	static #ring(options) {
+		const { baseAddress, byteLength, stride } = options
+		const superblock = options.superblock ?? DEFAULT_SUPERBLOCK
+		const flash = options.flash ?? DEFAULT_FLASH
+		const sectorSize = options.sectorSize ?? DEFAULT_SECTOR_SIZE
 
-			// Pivot Right
-			const newStartValue = await CyclicFS.#readVersion(eeprom, (pivot + 1) * stride, options)
-			if((pivotValue > newStartValue) || (newStartValue === HEADER_INIT_VALUE32)) {
-				return { version: pivotValue, offset: pivot * stride, empty: false }
-			}
-			return _search(pivot + 1, endPos, newStartValue)
-		}
+		const unit = flash ? sectorSize : stride
+		const reserved = superblock ? Math.ceil(SUPERBLOCK_SIZE / unit) * unit : 0
 
-		//
-		const value = await CyclicFS.#readVersion(eeprom, 0, options)
-		if(value === HEADER_INIT_VALUE32) {
-			return { version: 0, offset: 0, empty: true }
+		return {
+			address: baseAddress + reserved,
+			byteLength: byteLength - reserved
+		}
+	}
+
+	/**
+	 * @param {ConfigOptions & LayoutOptions} options
+	 * @returns {Layout}
+	 */
+	static #layout(options) {
+		const { stride } = options
+		const checksum = options.checksum ?? DEFAULT_CHECKSUM
+		const storeLength = options.storeLength ?? DEFAULT_STORE_LENGTH
+		const span = options.span ?? DEFAULT_SPAN
+		const crypto = options.crypto ?? DEFAULT_CRYPTO
+		const versionWidth = options.versionWidth ?? DEFAULT_VERSION_WIDTH
+
+		const checksumSize = CHECKSUM_SIZE[checksum]
+		if(checksumSize === undefined) { throw new Error('unknown checksum') }
+		const cryptoSize = CRYPTO_OVERHEAD[crypto]
+		if(cryptoSize === undefined) { throw new Error('unknown crypto') }
+		const versionSize = VERSION_SIZE[versionWidth]
+		if(versionSize === undefined) { throw new Error('unknown version width') }
+
+		const segmentOffset = versionSize
+		const segmentSize = span ? SEGMENT_SIZE : 0
+		const lengthOffset = segmentOffset + segmentSize
+		const lengthSize = storeLength ? LENGTH_SIZE : 0
+		const checksumOffset = lengthOffset + lengthSize
+		const cryptoOffset = checksumOffset + checksumSize
+		const dataOffset = cryptoOffset + cryptoSize
+
+		return {
+			span,
+			segmentOffset,
+			segmentSize,
+			storeLength,
+			lengthOffset,
+			lengthSize,
+			checksum,
+			checksumOffset,
+			checksumSize,
+			crypto,
+			cryptoOffset,
+			cryptoSize,
+			dataOffset,
+			capacity: stride - dataOffset
+		}
+	}
+
+	/**
+	 * Checksum covers the entire slot excluding the checksum field itself.
+	 * @param {Uint8Array} blockU8
+	 * @param {Layout} layout
+	 * @returns {number}
+	 */
+	static #computeSlotChecksum(blockU8, layout) {
+		const { checksum, checksumOffset, cryptoOffset } = layout
+
+		const covered = new Uint8Array(checksumOffset + (blockU8.byteLength - cryptoOffset))
+		covered.set(blockU8.subarray(0, checksumOffset))
+		covered.set(blockU8.subarray(cryptoOffset), checksumOffset)
+
+		return computeChecksum(checksum, covered)
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {number} offset
+	 * @param {VersionOptions & ConfigOptions & LayoutOptions & KeyOptions} options
+	 * @returns {Promise<Slot>}
+	 */
+	static async #readSlot(eeprom, offset, options) {
+		const { littleEndian, stride } = options
+		const layout = CyclicFS.#layout(options)
+		const { address } = CyclicFS.#ring(options)
+
+		const block = await eeprom.read(address + offset, stride)
+		const blockU8 = asUint8Array(block)
+		const blockDV = new DataView(blockU8.buffer, blockU8.byteOffset, blockU8.byteLength)
+
+		const version = getVersion(blockDV, 0, CyclicFS.#versionWidth(options), littleEndian)
+
+		const length = layout.storeLength ? blockDV.getUint16(layout.lengthOffset, littleEndian) : layout.capacity
+		const lengthValid = length <= layout.capacity
+
+		let data = lengthValid ?
+			blockU8.subarray(layout.dataOffset, layout.dataOffset + length) :
+			blockU8.subarray(layout.dataOffset)
+
+		let valid = lengthValid && ((layout.checksum === CHECKSUM_NONE) ||
+			(getChecksum(layout.checksum, blockDV, layout.checksumOffset, littleEndian) === CyclicFS.#computeSlotChecksum(blockU8, layout)))
+
+		if(valid && (layout.crypto !== CRYPTO_NONE)) {
+			// a tampered (or replayed) slot fails like a corrupted one
+			const associated = blockU8.subarray(0, layout.checksumOffset)
+			const plaintext = await unseal(layout.crypto, options.key, associated, blockU8.subarray(layout.cryptoOffset, layout.dataOffset + length))
+			valid = plaintext !== undefined
+			data = plaintext ?? data
+		}
+
+		if(!layout.span) {
+			return {
+				version,
+				data,
+				valid
+			}
+		}
+
+		const segment = blockDV.getUint8(layout.segmentOffset)
+		const segmentCount = blockDV.getUint8(layout.segmentOffset + 1)
+
+		return {
+			version,
+			data,
+			valid: valid && (segment < segmentCount),
+			segment,
+			segmentCount
+		}
+	}
+
+	/**
+	 * Walks the written slots from the metadata offset in descending order,
+	 * stopping at the first empty slot and skipping bad slots and slots that
+	 * fail validation.
+	 * When lazy, the un-initialized slots past the first ring pass are detected
+	 * by their version falling outside of the ring.
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @returns {AsyncGenerator<{ offset: number, slot: Slot }>}
+	 */
+	static async *#walk(eeprom, metadata) {
+		const { stride, offset, version } = metadata
+		const lazy = metadata.lazy ?? DEFAULT_LAZY
+		const verify = metadata.verify ?? DEFAULT_VERIFY
+		const marker = CyclicFS.#marker(metadata)
+		const bad = CyclicFS.#badMarker(metadata)
+		const width = CyclicFS.#versionWidth(metadata)
+		const { byteLength } = CyclicFS.#ring(metadata)
+		const slotCount = Math.floor(byteLength / stride)
+
+		for(const relativeOffset of range(0, byteLength - 1, stride)) {
+			const actualOffset = (offset - relativeOffset + byteLength) % byteLength
+			const slot = await CyclicFS.#readSlot(eeprom, actualOffset, metadata)
+			if(verify && (slot.version === bad)) { continue }
+			if(slot.version === marker) { break }
+			if(lazy && (versionDistance(version, slot.version, width) >= slotCount)) { break }
+			if(!slot.valid) { continue }
+			yield { offset: actualOffset, slot }
+		}
+	}
+
+	/**
+	 * Walks the complete records from the metadata offset in descending order.
+	 * When spanning, a record is only yielded once all of its segments are
+	 * found with consecutive versions.
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @returns {AsyncGenerator<{ offset: number, slot: Slot }>}
+	 */
+	static async *#records(eeprom, metadata) {
+		const { span } = CyclicFS.#layout(metadata)
+		if(!span) {
+			yield *CyclicFS.#walk(eeprom, metadata)
+			return
+		}
+
+		/** @type {{ offset: number, version: Version, segmentCount: number, parts: Array<Uint8Array>, previousVersion: Version }|undefined} */
+		let pending = undefined
+
+		for await (const { offset, slot } of CyclicFS.#walk(eeprom, metadata)) {
+			const { segment, segmentCount } = slot
+
+			const continues = (pending !== undefined) &&
+				(segmentCount === pending.segmentCount) &&
+				(segment === pending.segmentCount - pending.parts.length - 1) &&
+				(CyclicFS.#nextVersion(slot.version, metadata) === pending.previousVersion)
+
+			if(continues) {
+				pending.parts.unshift(slot.data)
+				pending.previousVersion = slot.version
+			}
+			else if(segment === segmentCount - 1) {
+				// head (last written segment) of a record
+				pending = { offset, version: slot.version, segmentCount, parts: [ slot.data ], previousVersion: slot.version }
+			}
+			else {
+				pending = undefined
+				continue
+			}
+
+			if(pending.parts.length === pending.segmentCount) {
+				const data = new Uint8Array(await new Blob(pending.parts).arrayBuffer())
+				yield { offset: pending.offset, slot: { version: pending.version, data, valid: true, segmentCount: pending.segmentCount } }
+				pending = undefined
+			}
+		}
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @returns {Promise<BufferSource|undefined>}
+	 */
+	static async read(eeprom, metadata) {
+		const { version, offset, empty } = metadata
+		if(empty) { return undefined }
+
+		const { version: slotVersion, data, valid, segmentCount } = await CyclicFS.#readSlot(eeprom, offset, metadata)
+		if(slotVersion !== version) { throw new StaleHandleError('version miss-match') }
+		if(valid && (segmentCount === undefined || segmentCount === 1)) { return data }
+
+		// torn or corrupted write (or spanning record), take the newest intact record
+		for await (const { slot } of CyclicFS.#records(eeprom, metadata)) {
+			return slot.data
+		}
+
+		return undefined
+	}
+
+	/**
+	 * Read the record of a given version (if still within the ring).
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {Version} version
+	 * @returns {Promise<BufferSource|undefined>}
+	 */
+	static async readVersion(eeprom, metadata, version) {
+		const width = CyclicFS.#versionWidth(metadata)
+		const wanted = asVersion(version, width)
+		if(metadata.empty || (compareVersion(wanted, metadata.version, width) > 0)) { return undefined }
+
+		const seek = await CyclicFS.#seek(eeprom, metadata, wanted)
+		if(seek !== undefined) {
+			for await (const { slot } of CyclicFS.#records(eeprom, seek)) {
+				if(slot.version === wanted) { return slot.data }
+				break
+			}
+		}
+
+		// skipped (bad or torn) slots shift the ring, walk back to it
+		for await (const { slot } of CyclicFS.#records(eeprom, metadata)) {
+			if(slot.version === wanted) { return slot.data }
+			if(compareVersion(slot.version, wanted, width) < 0) { break }
+		}
+
+		return undefined
+	}
+
+	/**
+	 * Read the record `count` records before the latest (zero being the latest).
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {number} [count = 1]
+	 * @returns {Promise<BufferSource|undefined>}
+	 */
+	static async readPrevious(eeprom, metadata, count = 1) {
+		if(!Number.isInteger(count) || count < 0) { throw new Error('invalid count') }
+		if(metadata.empty) { return undefined }
+
+		let index = 0
+		for await (const { slot } of CyclicFS.#records(eeprom, metadata)) {
+			if(index === count) { return slot.data }
+			index += 1
+		}
+
+		return undefined
+	}
+
+	/**
+	 * Handle positioned at the slot of `version`, computed from its distance
+	 * to the handle (thus assuming no skipped slots).
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {Version} version
+	 * @returns {Promise<Metadata|undefined>} undefined if the slot does not hold the version
+	 */
+	static async #seek(eeprom, metadata, version) {
+		const { stride } = metadata
+		const { byteLength } = CyclicFS.#ring(metadata)
+
+		const distance = versionDistance(metadata.version, version, CyclicFS.#versionWidth(metadata))
+		if(distance >= CyclicFS.slotCount(metadata)) { return undefined }
+
+		const offset = (metadata.offset - ((Number(distance) * stride) % byteLength) + byteLength) % byteLength
+		if((await CyclicFS.#readVersion(eeprom, offset, metadata)) !== version) { return undefined }
+
+		return { ...metadata, version, offset }
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {BufferSource} buffer
+	 * @returns {Promise<void>}
+	 */
+	static async write(eeprom, metadata, buffer) {
+		// writes on the same handle are applied in call order, each to its own slot
+		const previous = WRITE_QUEUES.get(metadata) ?? Promise.resolve()
+		const pending = previous.then(() => CyclicFS.#write(eeprom, metadata, buffer))
+		WRITE_QUEUES.set(metadata, pending.catch(() => undefined))
+		return pending
+	}
+
+	/**
+	 * Detects another writer having advanced the device past this handle
+	 * (the handle slot no longer holds its version, or the next slot holds
+	 * a newer intact record).  When spanning, the leading segments of a torn
+	 * record pass validation on their own, thus a newer next slot only counts
+	 * once a search settles past the handle.
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @returns {Promise<boolean>}
+	 */
+	static async isStale(eeprom, metadata) {
+		const { version, offset, empty } = metadata
+		const marker = CyclicFS.#marker(metadata)
+
+		if(!empty && (await CyclicFS.#readVersion(eeprom, offset, metadata)) !== version) { return true }
+
+		const nextOffset = empty ? offset : CyclicFS.#nextOffset(offset, metadata)
+		const next = await CyclicFS.#readSlot(eeprom, nextOffset, metadata)
+		if((next.version === marker) || !next.valid) { return false }
+		if((metadata.verify ?? DEFAULT_VERIFY) && (next.version === CyclicFS.#badMarker(metadata))) { return false }
+
+		const newer = empty || (compareVersion(next.version, version, CyclicFS.#versionWidth(metadata)) > 0)
+		if(!newer || !CyclicFS.#layout(metadata).span) { return newer }
+
+		const result = await CyclicFS.#search(eeprom, metadata)
+		return (result.empty !== empty) || (result.offset !== offset) || (result.version !== version)
+	}
+
+	/**
+	 * Re-search the device, updating the handle in place.
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @returns {Promise<Metadata>}
+	 */
+	static async refresh(eeprom, metadata) {
+		const result = await CyclicFS.#search(eeprom, metadata)
+		return Object.assign(metadata, result)
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {BufferSource} buffer
+	 * @returns {Promise<void>}
+	 */
+	static async #write(eeprom, metadata, buffer) {
+		if(buffer === undefined) { throw new Error('buffer undefined') }
+
+		if(await CyclicFS.isStale(eeprom, metadata)) {
+			if(!(metadata.refreshStale ?? DEFAULT_REFRESH_STALE)) { throw new StaleHandleError() }
+			await CyclicFS.refresh(eeprom, metadata)
+		}
+
+		return CyclicFS.#writeRecord(eeprom, metadata, asUint8Array(buffer))
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {Uint8Array} bufferU8
+	 * @returns {Promise<void>}
+	 */
+	static async #writeRecord(eeprom, metadata, bufferU8) {
+		const layout = CyclicFS.#layout(metadata)
+
+		if(!layout.span) {
+			if(bufferU8.byteLength > layout.capacity) { throw new Error('buffer size larger then stride') }
+			return CyclicFS.#writeSlot(eeprom, metadata, layout, bufferU8)
+		}
+
+		if(layout.capacity <= 0) { throw new Error('stride too small for span') }
+
+		// the previous record must survive a torn write, only the slots it does not hold are used
+		const slotCount = CyclicFS.slotCount(metadata)
+		const segmentCount = Math.max(1, Math.ceil(bufferU8.byteLength / layout.capacity))
+		if((segmentCount > MAX_SEGMENT_COUNT) || (segmentCount >= slotCount)) { throw new Error('buffer size larger then span') }
+		const claimed = CyclicFS.#claimedSlots(metadata, segmentCount)
+		if((claimed + await CyclicFS.#heldSlots(eeprom, metadata)) > slotCount) { throw new Error('buffer size larger then span') }
+
+		for(const segment of range(0, segmentCount - 1)) {
+			const chunk = bufferU8.subarray(segment * layout.capacity, (segment + 1) * layout.capacity)
+			await CyclicFS.#writeSlot(eeprom, metadata, layout, chunk, segment, segmentCount)
+		}
+	}
+
+	/**
+	 * Slots a record of `segmentCount` segments written next destroys, for
+	 * flash the remainder of each sector it enters is erased too.
+	 * @param {Metadata} metadata
+	 * @param {number} segmentCount
+	 * @returns {number}
+	 */
+	static #claimedSlots(metadata, segmentCount) {
+		if(!(metadata.flash ?? DEFAULT_FLASH)) { return segmentCount }
+
+		const { stride, offset, empty } = metadata
+		const slotsPerSector = (metadata.sectorSize ?? DEFAULT_SECTOR_SIZE) / stride
+		const start = (empty ? offset : CyclicFS.#nextOffset(offset, metadata)) / stride
+		const end = start + segmentCount
+
+		// the first sector entered (at or past the start) is erased
+		const entered = Math.ceil(start / slotsPerSector) * slotsPerSector
+		if(entered >= end) { return segmentCount }
+		return (Math.ceil(end / slotsPerSector) * slotsPerSector) - start
+	}
+
+	/**
+	 * Slots from the first segment of the newest complete record up to the
+	 * handle offset (torn slots following it included).
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @returns {Promise<number>}
+	 */
+	static async #heldSlots(eeprom, metadata) {
+		if(metadata.empty) { return 0 }
+
+		const { stride } = metadata
+		const { byteLength } = CyclicFS.#ring(metadata)
+		for await (const { offset, slot } of CyclicFS.#records(eeprom, metadata)) {
+			return (((metadata.offset - offset + byteLength) % byteLength) / stride) + (slot.segmentCount ?? 1)
+		}
+
+		return 0
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {Layout} layout
+	 * @param {Uint8Array} bufferU8
+	 * @param {number} [segment = 0]
+	 * @param {number} [segmentCount = 1]
+	 * @returns {Promise<void>}
+	 */
+	static async #writeSlot(eeprom, metadata, layout, bufferU8, segment = 0, segmentCount = 1) {
+		const { version, offset, empty } = metadata
+
+		let nextVersion = empty ? version : CyclicFS.#nextVersion(version, metadata)
+		let nextOffset = empty ? offset : CyclicFS.#nextOffset(offset, metadata)
+		let block = await CyclicFS.#slotBlock(metadata, layout, bufferU8, nextVersion, segment, segmentCount)
+
+		// bad slots (when verifying) are skipped keeping the same version, not
+		// erased slots (flash, left by a torn write) consume their version
+		const slotCount = CyclicFS.slotCount(metadata)
+		for(let attempt = 0; attempt < slotCount; attempt += 1) {
+			if(!(await CyclicFS.#prepareSlot(eeprom, metadata, nextOffset))) {
+				await CyclicFS.#completeVersion(eeprom, metadata, nextOffset, nextVersion)
+				nextVersion = CyclicFS.#nextVersion(nextVersion, metadata)
+				nextOffset = CyclicFS.#nextOffset(nextOffset, metadata)
+				block = await CyclicFS.#slotBlock(metadata, layout, bufferU8, nextVersion, segment, segmentCount)
+				continue
+			}
+
+			if(await CyclicFS.#programSlot(eeprom, metadata, nextOffset, block)) {
+				metadata.version = nextVersion
+				metadata.offset = nextOffset
+				metadata.empty = false
+				return
+			}
+
+			nextOffset = CyclicFS.#nextOffset(nextOffset, metadata)
+		}
+
+		throw new Error('no usable slot')
+	}
+
+	/**
+	 * Re-program the "Version" of a slot left by a torn write (flash), a
+	 * partially written "Version" would otherwise order the ring wrongly.
+	 * Programming only clears bits thus the torn (prefix of the) version
+	 * completes to the given version.
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {number} offset
+	 * @param {Version} version the version the torn write was issued
+	 * @returns {Promise<void>}
+	 */
+	static async #completeVersion(eeprom, metadata, offset, version) {
+		const { address } = CyclicFS.#ring(metadata)
+		const width = CyclicFS.#versionWidth(metadata)
+		const header = new Uint8Array(VERSION_SIZE[width])
+		setVersion(new DataView(header.buffer), 0, version, width, metadata.littleEndian)
+		await CyclicFS.#deviceWrite(eeprom, address + offset, header, metadata)
+	}
+
+	/**
+	 * @param {Metadata} metadata
+	 * @param {Layout} layout
+	 * @param {Uint8Array} bufferU8
+	 * @param {Version} version
+	 * @param {number} segment
+	 * @param {number} segmentCount
+	 * @returns {Promise<Uint8Array>} the slot "Header" and "Data"
+	 */
+	static async #slotBlock(metadata, layout, bufferU8, version, segment, segmentCount) {
+		const { stride, littleEndian } = metadata
+		const erasedValue = metadata.erasedValue ?? DEFAULT_ERASED_VALUE
+
+		// when check-summed (or sealed) the full slot is written so that stale bytes are covered
+		const partial = (layout.checksum === CHECKSUM_NONE) && (layout.crypto === CRYPTO_NONE)
+		const blockLength = partial ? layout.dataOffset + bufferU8.byteLength : stride
+		const block = new Uint8Array(blockLength).fill(erasedValue)
+		const blockDV = new DataView(block.buffer)
+		setVersion(blockDV, 0, version, CyclicFS.#versionWidth(metadata), littleEndian)
+		if(layout.span) {
+			blockDV.setUint8(layout.segmentOffset, segment)
+			blockDV.setUint8(layout.segmentOffset + 1, segmentCount)
+		}
+		if(layout.storeLength) { blockDV.setUint16(layout.lengthOffset, bufferU8.byteLength, littleEndian) }
+		block.set(bufferU8, layout.dataOffset)
+
+		if(layout.crypto !== CRYPTO_NONE) {
+			// without a stored length the full "Data" (padding included) is read back, and thus sealed
+			const plaintext = layout.storeLength ? bufferU8 : block.slice(layout.dataOffset)
+			const associated = block.subarray(0, layout.checksumOffset)
+			block.set(await seal(layout.crypto, metadata.key, associated, plaintext), layout.cryptoOffset)
+		}
+
+		if(layout.checksum !== CHECKSUM_NONE) {
+			setChecksum(layout.checksum, blockDV, layout.checksumOffset, CyclicFS.#computeSlotChecksum(block, layout), littleEndian)
+		}
+
+		return block
+	}
+
+	/**
+	 * Lazy invalidation of the following slot, and flash erase-ahead.
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {number} offset slot about to be written
+	 * @returns {Promise<boolean>} false if the slot can not be programmed (flash, left over from a torn write)
+	 */
+	static async #prepareSlot(eeprom, metadata, offset) {
+		const { stride } = metadata
+		const { address, byteLength } = CyclicFS.#ring(metadata)
+		const erasedValue = metadata.erasedValue ?? DEFAULT_ERASED_VALUE
+		const marker = CyclicFS.#marker(metadata)
+
+		if((metadata.lazy ?? DEFAULT_LAZY) && ((offset + stride) < byteLength)) {
+			// first pass over a lazy ring, invalidate the following slot before use
+			const firstPass = (await CyclicFS.#readVersion(eeprom, offset, metadata)) === marker
+			if(firstPass) {
+				const header = new Uint8Array(VERSION_SIZE[CyclicFS.#versionWidth(metadata)]).fill(erasedValue)
+				await CyclicFS.#deviceWrite(eeprom, address + offset + stride, header, metadata)
+			}
+		}
+
+		if(!(metadata.flash ?? DEFAULT_FLASH)) { return true }
+
+		const sectorSize = metadata.sectorSize ?? DEFAULT_SECTOR_SIZE
+		if((offset % sectorSize) === 0) {
+			// crossing into the next sector, erase it ahead of writing (the latest record lives in the previous sector)
+			const sector = asUint8Array(await eeprom.read(address + offset, sectorSize))
+			if(!sector.every(value => value === erasedValue)) {
+				await CyclicFS.#deviceErase(eeprom, address + offset, sectorSize)
+			}
+			return true
+		}
+
+		// programming only clears bits, a slot within the sector must still be erased
+		const slot = asUint8Array(await eeprom.read(address + offset, stride))
+		return slot.every(value => value === erasedValue)
+	}
+
+	/**
+	 * Writes the slot.  When verifying, the slot is read back (and re-written
+	 * on miss-match) and finally marked bad if it never matches.
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {number} offset
+	 * @param {Uint8Array} block
+	 * @returns {Promise<boolean>} false if the slot is (now) marked bad
+	 */
+	static async #programSlot(eeprom, metadata, offset, block) {
+		const { address } = CyclicFS.#ring(metadata)
+
+		if(!(metadata.verify ?? DEFAULT_VERIFY)) {
+			await CyclicFS.#deviceWrite(eeprom, address + offset, block, metadata)
+			return true
+		}
+
+		const bad = CyclicFS.#badMarker(metadata)
+		if((await CyclicFS.#readVersion(eeprom, offset, metadata)) === bad) { return false }
+
+		const retries = metadata.verifyRetries ?? DEFAULT_VERIFY_RETRIES
+		for(let attempt = 0; attempt <= retries; attempt += 1) {
+			await CyclicFS.#deviceWrite(eeprom, address + offset, block, metadata)
+
+			const readBack = asUint8Array(await eeprom.read(address + offset, block.byteLength))
+			if(readBack.every((value, index) => value === block[index])) { return true }
+		}
+
+		const width = CyclicFS.#versionWidth(metadata)
+		const header = new Uint8Array(VERSION_SIZE[width])
+		setVersion(new DataView(header.buffer), 0, bad, width, metadata.littleEndian)
+		await CyclicFS.#deviceWrite(eeprom, address + offset, header, metadata)
+
+		return false
+	}
+
+	/**
+	 * @param {Version} version
+	 * @param {VersionOptions} options
+	 * @returns {Version}
+	 */
+	static #nextVersion(version, options) {
+		const marker = CyclicFS.#marker(options)
+		const width = CyclicFS.#versionWidth(options)
+		const next = incrementVersion(version, marker, width)
+		if(!(options.verify ?? DEFAULT_VERIFY) || (next !== CyclicFS.#badMarker(options))) { return next }
+		return incrementVersion(next, marker, width)
+	}
+
+	/**
+	 * @param {Version} version
+	 * @param {VersionOptions} options
+	 * @returns {Version}
+	 */
+	static #previousVersion(version, options) {
+		const marker = CyclicFS.#marker(options)
+		const bad = CyclicFS.#badMarker(options)
+		const verify = options.verify ?? DEFAULT_VERIFY
+		const width = CyclicFS.#versionWidth(options)
+		const one = asVersion(1, width)
+
+		let previous = version
+		do {
+			previous = versionDistance(previous, one, width)
+		}
+		while((previous === marker) || (verify && (previous === bad)))
+
+		return previous
+	}
+
+	/**
+	 * @param {number} offset
+	 * @param {ConfigOptions & { baseAddress: number }} options
+	 * @returns {number}
+	 */
+	static #nextOffset(offset, options) {
+		const { stride } = options
+		const { byteLength } = CyclicFS.#ring(options)
+		return ((offset + stride) >= byteLength) ? 0 : offset + stride
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {number} offset
+	 * @param {VersionOptions & ConfigOptions} options
+	 * @returns {Promise<Version>}
+	 */
+	static async #readVersion(eeprom, offset, options) {
+		const { littleEndian } = options
+		const { address } = CyclicFS.#ring(options)
+		const width = CyclicFS.#versionWidth(options)
+
+		const header = await eeprom.read(address + offset, VERSION_SIZE[width])
+		const dv = ArrayBuffer.isView(header) ?
+			new DataView(header.buffer, header.byteOffset, header.byteLength) :
+			new DataView(header)
+
+		return getVersion(dv, 0, width, littleEndian)
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {SearchOptions} options
+	 * @returns {Promise<SearchResult>}
+	 */
+	static async #search(eeprom, options) {
+		// un-initialized slots of a lazy ring can not be binary searched
+		const fullScan = options.fullScan || options.lazy
+		const result = fullScan ?
+			await CyclicFS.#search_linear(eeprom, options) :
+			await CyclicFS.#search_binary(eeprom, options)
+
+		return CyclicFS.#settle(eeprom, options, result)
+	}
+
+	/**
+	 * Moves a search result back to the head of the newest record passing validation.
+	 * @param {EEPROM} eeprom
+	 * @param {SearchOptions} options
+	 * @param {SearchResult} result
+	 * @returns {Promise<SearchResult>}
+	 */
+	static async #settle(eeprom, options, result) {
+		if(result.empty) { return result }
+
+		const { checksum, storeLength, span, crypto } = CyclicFS.#layout(options)
+		if((checksum === CHECKSUM_NONE) && !storeLength && !span && (crypto === CRYPTO_NONE)) { return result }
+
+		for await (const { offset, slot } of CyclicFS.#records(eeprom, { ...options, ...result })) {
+			return { version: slot.version, offset, empty: false }
+		}
+
+		return CyclicFS.#emptyResult(options)
+	}
+
+	/**
+	 * @param {VersionOptions} options
+	 * @returns {Version}
+	 */
+	static #marker(options) {
+		return erasedMarker(options.erasedValue ?? DEFAULT_ERASED_VALUE, CyclicFS.#versionWidth(options))
+	}
+
+	/**
+	 * Version marking a slot bad (the erased marker with the top bit flipped),
+	 * only reserved when verifying.
+	 * @param {VersionOptions} options
+	 * @returns {Version}
+	 */
+	static #badMarker(options) {
+		const { modulus, topBit } = versionSpace(CyclicFS.#versionWidth(options))
+		return (CyclicFS.#marker(options) + topBit) % modulus
+	}
+
+	/**
+	 * @param {VersionOptions} options
+	 * @returns {VersionWidth}
+	 */
+	static #versionWidth(options) {
+		return options.versionWidth ?? DEFAULT_VERSION_WIDTH
+	}
+
+	/**
+	 * @param {VersionOptions} options
+	 * @returns {SearchResult}
+	 */
+	static #emptyResult(options) {
+		const width = CyclicFS.#versionWidth(options)
+		const zero = asVersion(0, width)
+		const marker = CyclicFS.#marker(options)
+		return { version: marker === zero ? asVersion(1, width) : zero, offset: 0, empty: true }
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {SearchOptions} options
+	 * @returns {Promise<SearchResult>}
+	 */
+	static async #search_linear(eeprom, options) {
+		const { stride } = options
+		const { byteLength } = CyclicFS.#ring(options)
+		const marker = CyclicFS.#marker(options)
+		const bad = CyclicFS.#badMarker(options)
+		const verify = options.verify ?? DEFAULT_VERIFY
+		const width = CyclicFS.#versionWidth(options)
+
+		const result = CyclicFS.#emptyResult(options)
+
+		for(const offset of range(0, byteLength - 1, stride)) {
+			const version = await CyclicFS.#readVersion(eeprom, offset, options)
+			if(verify && (version === bad)) { continue }
+			if(version === marker) {
+				// freshly erased sectors may precede older records
+				if(options.flash) { continue }
+				break
+			}
+
+			if(result.empty || compareVersion(version, result.version, width) > 0) {
+				result.version = version
+				result.offset = offset
+				result.empty = false
+			}
+		}
+
+		return result
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {SearchOptions} options
+	 * @returns {Promise<SearchResult>}
+	 */
+	static async #search_binary(eeprom, options) {
+		const { stride } = options
+		const { byteLength } = CyclicFS.#ring(options)
+		const marker = CyclicFS.#marker(options)
+		const width = CyclicFS.#versionWidth(options)
+
+		async function _search(startPos, endPos, start) {
+			if(startPos === endPos) {
+				return { version: start.version, offset: start.offset, empty: false }
+			}
+
+			const pivot = Math.floor(startPos + (endPos - startPos) / 2)
+			const pivotSlot = await CyclicFS.#readOrderVersion(eeprom, pivot * stride, options)
+
+			if((pivotSlot.version === marker) || (compareVersion(pivotSlot.version, start.version, width) < 0)) {
+				// Pivot Left
+				return _search(startPos, pivot - 1, start)
+			}
+
+			// Pivot Right
+			const newStart = await CyclicFS.#readOrderVersion(eeprom, (pivot + 1) * stride, options)
+			if((newStart.version === marker) || (compareVersion(pivotSlot.version, newStart.version, width) > 0)) {
+				return { version: pivotSlot.version, offset: pivotSlot.offset, empty: false }
+			}
+			return _search(pivot + 1, endPos, newStart)
+		}
+
+		//
+		let startPos = 0
+		let start = await CyclicFS.#readOrderVersion(eeprom, 0, options)
+		if((start.version === marker) && options.flash) {
+			// first sector freshly erased, the older records follow it
+			startPos = (options.sectorSize ?? DEFAULT_SECTOR_SIZE) / stride
+			start = await CyclicFS.#readOrderVersion(eeprom, startPos * stride, options)
+		}
+
+		if(start.version === marker) {
+			return CyclicFS.#emptyResult(options)
 		}
 
 		const slotCount = Math.floor(byteLength / stride)
-		return _search(0, slotCount - 1, value)
+		return _search(startPos, slotCount - 1, start)
+	}
+
+	/**
+	 * Version used to order a slot when searching.  A bad slot (when
+	 * verifying) takes the version of the closest preceding usable slot, or
+	 * of the closest following one when none precede it, keeping the ring
+	 * ordered.
+	 * @param {EEPROM} eeprom
+	 * @param {number} offset
+	 * @param {SearchOptions} options
+	 * @returns {Promise<{ version: Version, offset: number }>} version and offset of the usable slot
+	 */
+	static async #readOrderVersion(eeprom, offset, options) {
+		const version = await CyclicFS.#readVersion(eeprom, offset, options)
+		if(!(options.verify ?? DEFAULT_VERIFY)) { return { version, offset } }
+
+		const bad = CyclicFS.#badMarker(options)
+		if(version !== bad) { return { version, offset } }
+
+		const { stride } = options
+		const { byteLength } = CyclicFS.#ring(options)
+
+		for(let preceding = offset - stride; preceding >= 0; preceding -= stride) {
+			const precedingVersion = await CyclicFS.#readVersion(eeprom, preceding, options)
+			if(precedingVersion !== bad) { return { version: precedingVersion, offset: preceding } }
+		}
+
+		for(const following of range(offset + stride, byteLength - 1, stride)) {
+			const followingVersion = await CyclicFS.#readVersion(eeprom, following, options)
+			if(followingVersion !== bad) { return { version: followingVersion, offset: following } }
+		}
+
+		// every slot is bad
+		return { version: CyclicFS.#marker(options), offset }
 	}
 
 
@@ -293,7 +1796,8 @@ export class CyclicFS {
 	 * @returns {AsyncGenerator<Slot>}
 	 */
 	static async *listSlots(eeprom, options) {
-		const { byteLength, stride } = options
+		const { stride } = options
+		const { byteLength } = CyclicFS.#ring(options)
 
 		for(const offset of range(0, byteLength - 1, stride)) {
 			yield CyclicFS.#readSlot(eeprom, offset, options)
@@ -301,19 +1805,666 @@ export class CyclicFS {
 	}
 
 	/**
+	 * Wear estimate derived from the handle version (each slot write consumes
+	 * one version) spread evenly over the usable slots.
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {StatsOptions} [options]
+	 * @returns {Promise<Stats>}
+	 */
+	static async stats(eeprom, metadata, options = undefined) {
+		const endurance = options?.endurance ?? DEFAULT_ENDURANCE
+		const writeRate = options?.writeRate
+		if(!(endurance > 0)) { throw new Error('invalid endurance') }
+
+		const { version, empty, offset, stride } = metadata
+		const { byteLength } = CyclicFS.#ring(metadata)
+		const slotCount = CyclicFS.slotCount(metadata)
+
+		let badSlots = 0
+		if(metadata.verify ?? DEFAULT_VERIFY) {
+			const bad = CyclicFS.#badMarker(metadata)
+			for(const slotOffset of range(0, byteLength - 1, stride)) {
+				if((await CyclicFS.#readVersion(eeprom, slotOffset, metadata)) === bad) { badSlots += 1 }
+			}
+		}
+
+		const usableSlots = slotCount - badSlots
+		const firstVersion = CyclicFS.#emptyResult(metadata).version
+		const width = CyclicFS.#versionWidth(metadata)
+		const totalWrites = empty ? 0 : Number(versionDistance(version, firstVersion, width)) + 1
+
+		// once the ring has wrapped the "Versions" may also have rolled over (any number of times, 64 bit never will)
+		const rolls = !empty && (width < 64)
+		let lowerBound = rolls && (totalWrites >= usableSlots)
+		if(rolls && !lowerBound) {
+			// the slot ahead (for flash the next sector, as the current one is erased ahead) holds a record once wrapped
+			const sectorSize = metadata.sectorSize ?? DEFAULT_SECTOR_SIZE
+			const ahead = (metadata.flash ?? DEFAULT_FLASH) ?
+				((Math.floor(offset / sectorSize) + 1) * sectorSize) % byteLength :
+				CyclicFS.#nextOffset(offset, metadata)
+			lowerBound = (await CyclicFS.#readVersion(eeprom, ahead, metadata)) !== CyclicFS.#marker(metadata)
+		}
+
+		const cycles = usableSlots > 0 ? Math.floor(totalWrites / usableSlots) : 0
+		const writesPerSlot = usableSlots > 0 ? Math.ceil(totalWrites / usableSlots) : 0
+		const remainingWritesPerSlot = Math.max(0, endurance - writesPerSlot)
+		const remainingPercent = (remainingWritesPerSlot / endurance) * 100
+
+		const remainingWrites = remainingWritesPerSlot * usableSlots
+		const secondsRemaining = (writeRate === undefined) ? undefined :
+			(remainingWrites === 0) ? 0 :
+			(writeRate > 0) ? remainingWrites / writeRate : Infinity
+
+		return {
+			slotCount,
+			badSlots,
+			totalWrites,
+			lowerBound,
+			cycles,
+			writesPerSlot,
+			endurance,
+			remainingPercent,
+			secondsRemaining
+		}
+	}
+
+	/**
+	 * Scans every slot, walking back from the newest slot of the consistent
+	 * version chain (consecutive versions in neighbouring slots), where each
+	 * slot position implies its version.  Slots not matching are reported,
+	 * as is a disagreement between the binary and linear search.
+	 *
+	 * With `repair` the out of place slots (and erased slots inside the
+	 * written region) are re-written holding their implied version, but
+	 * failing validation (without a checksum, stored length, span or crypto
+	 * only their version is re-written, keeping the payload).  Not supported
+	 * for flash.
+	 * @param {EEPROM} eeprom
+	 * @param {CheckOptions} options
+	 * @returns {Promise<CheckReport>}
+	 */
+	static async check(eeprom, options) {
+		const repair = options.repair ?? DEFAULT_REPAIR
+		if(repair && (options.flash ?? DEFAULT_FLASH)) { throw new Error('repair not supported for flash') }
+
+		const { stride } = options
+		const { byteLength } = CyclicFS.#ring(options)
+		const slotCount = CyclicFS.slotCount(options)
+		const lazy = options.lazy ?? DEFAULT_LAZY
+		const verify = options.verify ?? DEFAULT_VERIFY
+		const marker = CyclicFS.#marker(options)
+		const bad = CyclicFS.#badMarker(options)
+		const width = CyclicFS.#versionWidth(options)
+
+		/** @type {Array<{ offset: number, slot: Slot }>} */
+		const usable = []
+		for(const offset of range(0, byteLength - 1, stride)) {
+			const slot = await CyclicFS.#readSlot(eeprom, offset, options)
+			if(verify && (slot.version === bad)) { continue }
+			usable.push({ offset, slot })
+		}
+
+		const badSlots = slotCount - usable.length
+		const head = CyclicFS.#chainHead(usable, options)
+
+		// usable slots newest to oldest, starting at the head
+		const start = usable.findIndex(({ offset }) => offset === head.offset)
+		const walk = [ ...usable.slice(0, start + 1).reverse(), ...usable.slice(start + 1).reverse() ]
+
+		/** @type {Array<Problem>} */
+		const problems = []
+		/** @type {Array<Problem>} */
+		const pending = []
+		const seen = new Set()
+		let written = 0
+		let expected = head.version
+
+		for(const [ index, { offset, slot } ] of walk.entries()) {
+			const { version, valid } = slot
+			const implied = expected
+			expected = CyclicFS.#previousVersion(expected, options)
+
+			const unwritten = (version === marker) ||
+				(lazy && !head.empty && (versionDistance(head.version, version, width) >= slotCount))
+			if(unwritten) {
+				// erased slots are only stray when older consistent slots follow
+				pending.push({ type: PROBLEM_STRAY_EMPTY, offset, version, expected: implied })
+				continue
+			}
+
+			written += 1
+
+			const following = walk[index + 1]?.slot.version
+			const startsGap = !seen.has(version) &&
+				(compareVersion(version, implied, width) < 0) &&
+				(following === CyclicFS.#previousVersion(version, options))
+
+			if((version === implied) || startsGap) {
+				problems.push(...pending.splice(0))
+				if(startsGap) {
+					problems.push({ type: PROBLEM_GAP, offset, version, expected: implied })
+					expected = CyclicFS.#previousVersion(version, options)
+				}
+				if(!valid) { problems.push({ type: PROBLEM_INVALID, offset, version, expected: version }) }
+				seen.add(version)
+				continue
+			}
+
+			problems.push({ type: seen.has(version) ? PROBLEM_DUPLICATE : PROBLEM_NON_MONOTONIC, offset, version, expected: implied })
+			seen.add(version)
+		}
+
+		// un-initialized slots of a lazy ring are never binary searched
+		if(!lazy) {
+			const linear = await CyclicFS.#search_linear(eeprom, options)
+			const binary = await CyclicFS.#search_binary(eeprom, options)
+			if((linear.empty !== binary.empty) || (linear.offset !== binary.offset)) {
+				problems.push({ type: PROBLEM_SEARCH_MISMATCH, offset: binary.offset, version: binary.version, expected: linear.version })
+			}
+		}
+
+		let repaired = 0
+		if(repair) {
+			const layout = CyclicFS.#layout(options)
+			const { address } = CyclicFS.#ring(options)
+
+			// a slot that can not fail validation keeps its payload (likely the record with a damaged header)
+			const invalidates = (layout.checksum !== CHECKSUM_NONE) || layout.storeLength || layout.span || (layout.crypto !== CRYPTO_NONE)
+			const length = invalidates ? stride : VERSION_SIZE[width]
+
+			for(const { type, offset, expected: version } of problems) {
+				if(![ PROBLEM_STRAY_EMPTY, PROBLEM_NON_MONOTONIC, PROBLEM_DUPLICATE ].includes(type)) { continue }
+				const block = CyclicFS.#invalidBlock(version, layout, options)
+				await CyclicFS.#deviceWrite(eeprom, address + offset, block.subarray(0, length), options)
+				repaired += 1
+			}
+		}
+
+		return {
+			ok: problems.length === 0,
+			slotCount,
+			written,
+			empty: usable.length - written,
+			badSlots,
+			head,
+			problems,
+			repaired
+		}
+	}
+
+	/**
+	 * Newest slot linked (by consecutive version) to a usable neighbour, or
+	 * the newest written slot when none are (a single record).
+	 * @param {Array<{ offset: number, slot: Slot }>} usable usable slots in memory order
+	 * @param {CheckOptions} options
+	 * @returns {SearchResult}
+	 */
+	static #chainHead(usable, options) {
+		const marker = CyclicFS.#marker(options)
+		const written = usable.filter(({ slot }) => slot.version !== marker)
+
+		const linked = written.filter(({ offset, slot }) => {
+			const index = usable.findIndex(entry => entry.offset === offset)
+			const before = usable[(index - 1 + usable.length) % usable.length].slot.version
+			const after = usable[(index + 1) % usable.length].slot.version
+			return ((before !== marker) && (CyclicFS.#nextVersion(before, options) === slot.version)) ||
+				(CyclicFS.#nextVersion(slot.version, options) === after)
+		})
+
+		const candidates = linked.length > 0 ? linked : written
+		if(candidates.length === 0) { return CyclicFS.#emptyResult(options) }
+
+		const width = CyclicFS.#versionWidth(options)
+		const newest = candidates.reduce((acc, entry) => compareVersion(entry.slot.version, acc.slot.version, width) > 0 ? entry : acc)
+		return { version: newest.slot.version, offset: newest.offset, empty: false }
+	}
+
+	/**
+	 * Full slot holding the version, failing validation.
+	 * @param {Version} version
+	 * @param {Layout} layout
+	 * @param {CheckOptions} options
+	 * @returns {Uint8Array}
+	 */
+	static #invalidBlock(version, layout, options) {
+		const { stride, littleEndian } = options
+		const erasedValue = options.erasedValue ?? DEFAULT_ERASED_VALUE
+
+		const block = new Uint8Array(stride).fill(erasedValue)
+		const blockDV = new DataView(block.buffer)
+		setVersion(blockDV, 0, version, CyclicFS.#versionWidth(options), littleEndian)
+		if(layout.span) {
+			blockDV.setUint8(layout.segmentOffset, MAX_SEGMENT_COUNT)
+			blockDV.setUint8(layout.segmentOffset + 1, 0)
+		}
+		if(layout.storeLength) { blockDV.setUint16(layout.lengthOffset, Math.min(layout.capacity + 1, 0xFF_FF), littleEndian) }
+		if(layout.checksum !== CHECKSUM_NONE) {
+			const mask = (2 ** (layout.checksumSize * 8)) - 1
+			setChecksum(layout.checksum, blockDV, layout.checksumOffset, (~CyclicFS.#computeSlotChecksum(block, layout) & mask) >>> 0, littleEndian)
+		}
+
+		return block
+	}
+
+	/**
+	 * Copy the newest records of a partition into a newly formatted target
+	 * partition (with its own options, for example a larger `stride`).  Records
+	 * are truncated to the target capacity, shorter records are padded with the
+	 * erased value (unless `storeLength`).
+	 *
+	 * The source is only read, and the target must not overlap it, thus the
+	 * latest record remains readable from the source until the caller switches
+	 * over.  A target superblock is invalidated first and written last, so the
+	 * target only mounts once complete.
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata source partition
+	 * @param {MigrateOptions} options target partition
+	 * @returns {Promise<Metadata>} target handle
+	 */
+	static async migrate(eeprom, metadata, options) {
+		const { byteLength } = options
+		const baseAddress = options.baseAddress ?? DEFAULT_BASE_ADDRESS
+		const stride = options.stride ?? DEFAULT_STRIDE
+		const superblock = options.superblock ?? DEFAULT_SUPERBLOCK
+		const erasedValue = options.erasedValue ?? DEFAULT_ERASED_VALUE
+		const flash = options.flash ?? DEFAULT_FLASH
+		const sectorSize = options.sectorSize ?? DEFAULT_SECTOR_SIZE
+		const count = options.count ?? DEFAULT_MIGRATE_COUNT
+		if(!(count > 0)) { throw new Error('invalid count') }
+
+		const overlaps = (baseAddress < (metadata.baseAddress + metadata.byteLength)) &&
+			(metadata.baseAddress < (baseAddress + byteLength))
+		if(overlaps) { throw new Error('target overlaps source') }
+
+		const ring = CyclicFS.#ring({ baseAddress, byteLength, stride, superblock, flash, sectorSize })
+		if(superblock && (ring.byteLength < stride)) { throw new Error('byteLength too small for superblock') }
+		const ringOptions = { ...options, baseAddress: ring.address, byteLength: ring.byteLength, superblock: false }
+
+		const maxLength = CyclicFS.maxRecordLength(ringOptions)
+
+		/** @type {Array<Uint8Array>} */
+		const records = []
+		for await (const { data } of CyclicFS.list(eeprom, metadata, { limit: count })) {
+			records.unshift(asUint8Array(data).slice(0, maxLength))
+		}
+
+		if(superblock) {
+			const reserved = ring.address - baseAddress
+			if(flash) {
+				for(const address of range(baseAddress, ring.address - 1, sectorSize)) {
+					await CyclicFS.#deviceErase(eeprom, address, sectorSize)
+				}
+			}
+			else {
+				await CyclicFS.#deviceWrite(eeprom, baseAddress, new Uint8Array(reserved).fill(erasedValue), options)
+			}
+		}
+
+		// the slot area alone, as a partition without superblock
+		await CyclicFS.format(eeprom, ring.byteLength, ringOptions)
+		const ringHandle = await CyclicFS.init(eeprom, ring.byteLength, ringOptions)
+		for(const record of records) {
+			await CyclicFS.write(eeprom, ringHandle, record)
+		}
+
+		if(superblock) {
+			await CyclicFS.#deviceWrite(eeprom, baseAddress, CyclicFS.#encodeSuperblock(byteLength, options), options)
+		}
+
+		return CyclicFS.init(eeprom, byteLength, options)
+	}
+
+	/**
+	 * @param {BufferSource} data
+	 * @returns {string}
+	 */
+	static #base64(data) {
+		const bytes = asUint8Array(data)
+		let binary = ''
+		for(let start = 0; start < bytes.byteLength; start += BASE64_CHUNK_SIZE) {
+			binary += String.fromCharCode(...bytes.subarray(start, start + BASE64_CHUNK_SIZE))
+		}
+		return btoa(binary)
+	}
+
+	/**
+	 * Records (oldest first) and the partition options as NDJSON, a manifest
+	 * line followed by one line per record with its data base64 encoded.
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @returns {Promise<string>}
+	 */
+	static async export(eeprom, metadata) {
+		/** @type {ExportManifest} */
+		const manifest = {
+			format: EXPORT_FORMAT,
+			formatVersion: EXPORT_FORMAT_VERSION,
+			options: {
+				baseAddress: metadata.baseAddress,
+				byteLength: metadata.byteLength,
+				stride: metadata.stride,
+				littleEndian: metadata.littleEndian,
+				checksum: metadata.checksum ?? DEFAULT_CHECKSUM,
+				storeLength: metadata.storeLength ?? DEFAULT_STORE_LENGTH,
+				span: metadata.span ?? DEFAULT_SPAN,
+				superblock: metadata.superblock ?? DEFAULT_SUPERBLOCK,
+				erasedValue: metadata.erasedValue ?? DEFAULT_ERASED_VALUE,
+				lazy: metadata.lazy ?? DEFAULT_LAZY,
+				flash: metadata.flash ?? DEFAULT_FLASH,
+				sectorSize: metadata.sectorSize ?? DEFAULT_SECTOR_SIZE,
+				verify: metadata.verify ?? DEFAULT_VERIFY,
+				crypto: metadata.crypto ?? DEFAULT_CRYPTO,
+				versionWidth: CyclicFS.#versionWidth(metadata)
+			}
+		}
+
+		const lines = [ JSON.stringify(manifest) ]
+		for await (const { version, data } of CyclicFS.list(eeprom, metadata, { order: ORDER_OLDEST_FIRST })) {
+			// JSON has no bigint
+			lines.push(JSON.stringify({ version: typeof version === 'bigint' ? version.toString() : version, data: CyclicFS.#base64(data) }))
+		}
+
+		return lines.map(line => line + '\n').join('')
+	}
+
+	/**
+	 * Format a partition and re-write the records of an `export`, keeping
+	 * their versions.  The options default to those of the export, records
+	 * are truncated to the partition capacity.
+	 * @param {EEPROM} eeprom
+	 * @param {string} text NDJSON from `export`
+	 * @param {ImportOptions} [options]
+	 * @returns {Promise<Metadata>}
+	 */
+	static async import(eeprom, text, options = undefined) {
+		const [ manifestLine, ...recordLines ] = text.split(/\r?\n/).filter(line => line.trim() !== '')
+		if(manifestLine === undefined) { throw new Error('empty export') }
+
+		/** @type {ExportManifest} */
+		const manifest = JSON.parse(manifestLine)
+		if(manifest?.format !== EXPORT_FORMAT) { throw new Error('not an export') }
+		if(manifest.formatVersion !== EXPORT_FORMAT_VERSION) { throw new Error('unsupported export version') }
+
+		const overrides = Object.fromEntries(Object.entries(options ?? {}).filter(([ , value ]) => value !== undefined))
+		const { byteLength, ...target } = { ...manifest.options, ...overrides }
+		const width = CyclicFS.#versionWidth(target)
+		const { modulus } = versionSpace(width)
+
+		/** @type {Array<{ version: Version, data: Uint8Array }>} */
+		const records = recordLines.map(line => {
+			/** @type {ExportRecord} */
+			const { version, data } = JSON.parse(line)
+			const integral = Number.isInteger(version) || ((typeof version === 'string') && /^\d+$/.test(version))
+			const value = integral ? BigInt(version) : -1n
+			if((value < 0n) || (value >= modulus)) { throw new Error('invalid version') }
+			if(typeof data !== 'string') { throw new Error('invalid data') }
+			return { version: asVersion(value, width), data: Uint8Array.from(atob(data), char => char.charCodeAt(0)) }
+		})
+
+		await CyclicFS.format(eeprom, byteLength, target)
+		const handle = await CyclicFS.init(eeprom, byteLength, target)
+		const maxLength = CyclicFS.maxRecordLength(handle)
+
+		for(const { version, data } of records) {
+			await CyclicFS.#writeVersion(eeprom, handle, data.subarray(0, maxLength), version)
+		}
+
+		return handle
+	}
+
+	/**
+	 * Write a record with the given (head) version, which must follow the
+	 * handle version.
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {Uint8Array} bufferU8
+	 * @param {Version} version
+	 * @returns {Promise<void>}
+	 */
+	static async #writeVersion(eeprom, metadata, bufferU8, version) {
+		const layout = CyclicFS.#layout(metadata)
+		const segmentCount = layout.span ? Math.max(1, Math.ceil(bufferU8.byteLength / layout.capacity)) : 1
+
+		let first = version
+		for(let segment = 1; segment < segmentCount; segment += 1) { first = CyclicFS.#previousVersion(first, metadata) }
+
+		// reserved versions (or too few free versions for the segments) can not be kept
+		let last = first
+		for(let segment = 1; segment < segmentCount; segment += 1) { last = CyclicFS.#nextVersion(last, metadata) }
+		const representable = (last === version) && (first !== CyclicFS.#marker(metadata)) &&
+			!((metadata.verify ?? DEFAULT_VERIFY) && (first === CyclicFS.#badMarker(metadata)))
+		const newer = metadata.empty || (compareVersion(first, metadata.version, CyclicFS.#versionWidth(metadata)) > 0)
+		if(!representable || !newer) { throw new Error('version conflict') }
+
+		// the following write issues `first`
+		if(!metadata.empty) { metadata.version = CyclicFS.#previousVersion(first, metadata) }
+		else { metadata.version = first }
+
+		return CyclicFS.#writeRecord(eeprom, metadata, bufferU8)
+	}
+
+	/**
+	 * Inspect an unknown image and rank candidate configurations (partition
+	 * range, stride, endianness and version width) by how well their headers
+	 * fit a cyclic store.  Partitions with a superblock are reported with a score of 1.
+	 * @param {EEPROM} eeprom
+	 * @param {number} byteLength length of the image
+	 * @param {ProbeOptions} [options]
+	 * @returns {Promise<Array<ProbeCandidate>>} candidates with a non-zero score, best first
+	 */
+	static async probe(eeprom, byteLength, options = undefined) {
+		const strides = options?.strides ?? DEFAULT_PROBE_STRIDES
+		const divisions = options?.divisions ?? DEFAULT_PROBE_DIVISIONS
+		const versionWidths = options?.versionWidths ?? DEFAULT_PROBE_VERSION_WIDTHS
+
+		// read once, and probe the in memory copy
+		const image = asUint8Array(await eeprom.read(0, byteLength)).slice()
+		const imageEEPROM = {
+			read: async (offset, length) => image.subarray(offset, offset + length)
+		}
+
+		/** @type {Array<ProbeCandidate>} */
+		const candidates = []
+		const superblockAddresses = new Set()
+
+		for(const division of divisions) {
+			const partitionLength = Math.floor(byteLength / division)
+
+			for(const baseAddress of range(0, byteLength - partitionLength, partitionLength)) {
+				const superblock = await CyclicFS.readSuperblock(imageEEPROM, baseAddress)
+				if(superblock !== undefined) {
+					if(superblockAddresses.has(baseAddress)) { continue }
+					superblockAddresses.add(baseAddress)
+
+					const { stride, littleEndian, versionWidth } = superblock
+					candidates.push({
+						baseAddress,
+						byteLength: superblock.byteLength,
+						stride,
+						littleEndian,
+						versionWidth,
+						superblock: true,
+						score: 1,
+						written: 0,
+						sequential: 0
+					})
+					continue
+				}
+
+				for(const versionWidth of versionWidths) {
+					for(const stride of strides) {
+						if(stride < VERSION_SIZE[versionWidth] || (stride * 2) > partitionLength) { continue }
+
+						for(const littleEndian of [ false, true ]) {
+							const candidate = CyclicFS.#score(image, { baseAddress, byteLength: partitionLength, stride, littleEndian, versionWidth })
+							if(candidate.score > 0) { candidates.push(candidate) }
+						}
+					}
+				}
+			}
+		}
+
+		// equally fitting, prefer more records then the tighter partition
+		return candidates.toSorted((a, b) => (b.score - a.score) || (b.sequential - a.sequential) || (b.written - a.written) || (a.byteLength - b.byteLength))
+	}
+
+	/**
+	 * A cyclic store reads (around the ring) as a single run of sequential
+	 * versions, optionally followed by a single run of empty slots.  Being
+	 * written from the first slot onward, the first slot is never empty and
+	 * the empty run ends the partition.
+	 * @param {Uint8Array} image
+	 * @param {VersionOptions & ConfigOptions} options
+	 * @returns {ProbeCandidate}
+	 */
+	static #score(image, options) {
+		const { baseAddress, byteLength, stride, littleEndian } = options
+		const versionWidth = CyclicFS.#versionWidth(options)
+		const marker = CyclicFS.#marker(options)
+		const dv = new DataView(image.buffer, image.byteOffset, image.byteLength)
+
+		const slotCount = Math.floor(byteLength / stride)
+		const versions = [ ...range(0, slotCount - 1).map(slot => getVersion(dv, baseAddress + (slot * stride), versionWidth, littleEndian)) ]
+
+		const written = versions.filter(version => version !== marker).length
+
+		let sequential = 0
+		let emptyRuns = 0
+		for(const [ index, version ] of versions.entries()) {
+			const next = versions[(index + 1) % slotCount]
+			const previous = versions[(index - 1 + slotCount) % slotCount]
+
+			if(version === marker) {
+				if(previous !== marker) { emptyRuns += 1 }
+				continue
+			}
+
+			if(next === incrementVersion(version, marker, versionWidth)) { sequential += 1 }
+		}
+
+		const ordered = (versions[0] !== marker) && ((written === slotCount) || (versions[slotCount - 1] === marker))
+
+		const expected = written - 1
+		const fit = (written < 2 || emptyRuns > 1 || !ordered) ? 0 : (sequential / expected)
+
+		return {
+			baseAddress,
+			byteLength,
+			stride,
+			littleEndian,
+			versionWidth,
+			superblock: false,
+			score: Math.min(1, fit),
+			written,
+			sequential
+		}
+	}
+
+	/**
+	 * Records (newest first by default), optionally bounded by version or count.
 	 * @param {EEPROM} eeprom
 	 * @param {Metadata} metadata
+	 * @param {HistoryOptions} [options]
 	 * @returns {AsyncGenerator<Slot>}
 	 */
-	static async *list(eeprom, metadata) {
-		const { byteLength, stride, offset, empty } = metadata
-		if(empty) { return }
+	static async *list(eeprom, metadata, options = undefined) {
+		const order = options?.order ?? DEFAULT_ORDER
+		const limit = options?.limit ?? Infinity
+		const width = CyclicFS.#versionWidth(metadata)
+		const fromVersion = options?.fromVersion === undefined ? undefined : asVersion(options.fromVersion, width)
+		const toVersion = options?.toVersion === undefined ? undefined : asVersion(options.toVersion, width)
+
+		const { empty } = metadata
+		if(empty || !(limit > 0)) { return }
+
+		const oldestFirst = order === ORDER_OLDEST_FIRST
+		if(!oldestFirst && (order !== ORDER_NEWEST_FIRST)) { throw new Error('unknown order') }
+
+		// start as close to the range as possible
+		const start = oldestFirst ?
+			((fromVersion !== undefined) ? await CyclicFS.#seek(eeprom, metadata, fromVersion) : undefined) :
+			((toVersion !== undefined) ? await CyclicFS.#seek(eeprom, metadata, toVersion) : undefined)
+
+		const records = oldestFirst ?
+			CyclicFS.#recordsForward(eeprom, metadata, start?.offset) :
+			CyclicFS.#records(eeprom, start ?? metadata)
+
+		let count = 0
+		for await (const { slot } of records) {
+			const tooNew = (toVersion !== undefined) && (compareVersion(slot.version, toVersion, width) > 0)
+			const tooOld = (fromVersion !== undefined) && (compareVersion(slot.version, fromVersion, width) < 0)
+
+			if(oldestFirst ? tooNew : tooOld) { break }
+			if(tooNew || tooOld) { continue }
 
-		for(const relativeOffset of range(0, byteLength - 1, stride)) {
-			const actualOffset = (offset - relativeOffset + byteLength) % byteLength
-			const slot = await CyclicFS.#readSlot(eeprom, actualOffset, metadata)
-			if(slot.version === HEADER_INIT_VALUE32) { break }
 			yield slot
+
+			count += 1
+			if(count >= limit) { break }
+		}
+	}
+
+	/**
+	 * Walks the complete records in ascending order, from the given offset
+	 * (or the oldest slot) up to the metadata offset.
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {number} [startOffset] defaults to the slot following the metadata offset
+	 * @returns {AsyncGenerator<{ offset: number, slot: Slot }>}
+	 */
+	static async *#recordsForward(eeprom, metadata, startOffset = undefined) {
+		const { stride, version, offset } = metadata
+		const { span } = CyclicFS.#layout(metadata)
+		const { byteLength } = CyclicFS.#ring(metadata)
+		const slotCount = CyclicFS.slotCount(metadata)
+		const marker = CyclicFS.#marker(metadata)
+		const bad = CyclicFS.#badMarker(metadata)
+		const verify = metadata.verify ?? DEFAULT_VERIFY
+		const width = CyclicFS.#versionWidth(metadata)
+
+		const start = startOffset ?? CyclicFS.#nextOffset(offset, metadata)
+		const positions = (((offset - start + byteLength) % byteLength) / stride) + 1
+
+		/** @type {{ segmentCount: number, parts: Array<Uint8Array>, previousVersion: Version }|undefined} */
+		let pending = undefined
+
+		for(const position of range(0, positions - 1)) {
+			const actualOffset = (start + (position * stride)) % byteLength
+			const slot = await CyclicFS.#readSlot(eeprom, actualOffset, metadata)
+
+			// empty, bad, torn, or left over (lazy) slots
+			if((slot.version === marker) || (verify && (slot.version === bad)) || !slot.valid) { pending = undefined; continue }
+			if(versionDistance(version, slot.version, width) >= slotCount) { pending = undefined; continue }
+
+			if(!span) {
+				yield { offset: actualOffset, slot }
+				continue
+			}
+
+			const { segment, segmentCount } = slot
+			const continues = (pending !== undefined) &&
+				(segmentCount === pending.segmentCount) &&
+				(segment === pending.parts.length) &&
+				(CyclicFS.#nextVersion(pending.previousVersion, metadata) === slot.version)
+
+			if(continues) {
+				pending.parts.push(slot.data)
+				pending.previousVersion = slot.version
+			}
+			else if(segment === 0) {
+				pending = { segmentCount, parts: [ slot.data ], previousVersion: slot.version }
+			}
+			else {
+				pending = undefined
+				continue
+			}
+
+			if(pending.parts.length === pending.segmentCount) {
+				const data = new Uint8Array(await new Blob(pending.parts).arrayBuffer())
+				yield { offset: actualOffset, slot: { version: slot.version, data, valid: true } }
+				pending = undefined
+			}
 		}
 	}
 }
@@ -0,0 +1,153 @@
+import { CyclicFS, versionDistance } from './index.js'
+import { asUint8Array } from './buffer.js'
+
+/**
+ * @typedef {import('./index.js').EEPROM} EEPROM
+ * @typedef {import('./index.js').Metadata} Metadata
+ * @typedef {import('./index.js').Version} Version
+ */
+
+export const KV_KEY_SIZE = 2
+export const KV_LENGTH_SIZE = 2
+export const KV_HEADER_SIZE = KV_KEY_SIZE + KV_LENGTH_SIZE
+export const KV_MAX_KEY = 0xFF_FF
+
+/**
+ * @typedef {number} Key
+ */
+
+/**
+ * @typedef {Object} Entry
+ * @property {Version} version
+ * @property {Uint8Array} value
+ */
+
+/**
+ * Key-value store over a single partition, each record holding
+ * `Key (2) | Length (2) | Value` (using the partition endianness).
+ * Live records about to be overwritten by the ring are copied forward.
+ */
+export class CyclicKV {
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {Key} key
+	 * @returns {Promise<Uint8Array|undefined>}
+	 */
+	static async get(eeprom, metadata, key) {
+		CyclicKV.#validateKey(key)
+
+		for await (const slot of CyclicFS.list(eeprom, metadata)) {
+			const record = CyclicKV.#decode(slot.data, metadata.littleEndian)
+			if(record?.key === key) { return record.value }
+		}
+
+		return undefined
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @param {Key} key
+	 * @param {BufferSource} value
+	 * @returns {Promise<void>}
+	 */
+	static async set(eeprom, metadata, key, value) {
+		CyclicKV.#validateKey(key)
+		if(value === undefined) { throw new Error('value undefined') }
+		if(metadata.span) { throw new Error('span not supported') }
+
+		const { littleEndian } = metadata
+		const record = CyclicKV.#encode(key, value, littleEndian)
+
+		const live = await CyclicKV.#live(eeprom, metadata)
+		live.delete(key)
+
+		// records this many writes old (or more) are overwritten (or erased) by the next write or the one after
+		const sectorSlots = metadata.flash ? (metadata.sectorSize / metadata.stride) : 1
+		const limit = CyclicFS.slotCount(metadata) - 1 - sectorSlots
+		if((live.size + 1) > limit) { throw new Error('store full') }
+
+		const distance = version => Number(versionDistance(metadata.version, version, metadata.versionWidth))
+		const oldestFirst = [ ...live ].toSorted(([ , a ], [ , b ]) => distance(b.version) - distance(a.version))
+
+		for(const [ liveKey, entry ] of oldestFirst) {
+			if(distance(entry.version) < limit) { break }
+			await CyclicFS.write(eeprom, metadata, CyclicKV.#encode(liveKey, entry.value, littleEndian))
+		}
+
+		return CyclicFS.write(eeprom, metadata, record)
+	}
+
+	/**
+	 * Live entries, most recently set first.
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @returns {AsyncGenerator<[ Key, Uint8Array ]>}
+	 */
+	static async *entries(eeprom, metadata) {
+		for(const [ key, { value } ] of await CyclicKV.#live(eeprom, metadata)) {
+			yield [ key, value ]
+		}
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} metadata
+	 * @returns {Promise<Map<Key, Entry>>}
+	 */
+	static async #live(eeprom, metadata) {
+		/** @type {Map<Key, Entry>} */
+		const live = new Map()
+
+		for await (const slot of CyclicFS.list(eeprom, metadata)) {
+			const record = CyclicKV.#decode(slot.data, metadata.littleEndian)
+			if(record === undefined || live.has(record.key)) { continue }
+			live.set(record.key, { version: slot.version, value: record.value })
+		}
+
+		return live
+	}
+
+	/**
+	 * @param {Key} key
+	 */
+	static #validateKey(key) {
+		if(!Number.isInteger(key) || key < 0 || key > KV_MAX_KEY) { throw new Error('invalid key') }
+	}
+
+	/**
+	 * @param {Key} key
+	 * @param {BufferSource} value
+	 * @param {boolean} littleEndian
+	 * @returns {Uint8Array}
+	 */
+	static #encode(key, value, littleEndian) {
+		const valueU8 = asUint8Array(value)
+
+		const record = new Uint8Array(KV_HEADER_SIZE + valueU8.byteLength)
+		const dv = new DataView(record.buffer)
+		dv.setUint16(0, key, littleEndian)
+		dv.setUint16(KV_KEY_SIZE, valueU8.byteLength, littleEndian)
+		record.set(valueU8, KV_HEADER_SIZE)
+
+		return record
+	}
+
+	/**
+	 * @param {BufferSource} data
+	 * @param {boolean} littleEndian
+	 * @returns {{ key: Key, value: Uint8Array }|undefined} undefined if not a key-value record
+	 */
+	static #decode(data, littleEndian) {
+		const u8 = asUint8Array(data)
+		if(u8.byteLength < KV_HEADER_SIZE) { return undefined }
+
+		const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength)
+		const key = dv.getUint16(0, littleEndian)
+		const length = dv.getUint16(KV_KEY_SIZE, littleEndian)
+		if(length > (u8.byteLength - KV_HEADER_SIZE)) { return undefined }
+
+		return { key, value: u8.slice(KV_HEADER_SIZE, KV_HEADER_SIZE + length) }
+	}
+}
@@ -0,0 +1,197 @@
+import { CyclicFS, StaleHandleError } from './index.js'
+
+/**
+ * @typedef {import('./index.js').EEPROM} EEPROM
+ * @typedef {import('./index.js').Metadata} Metadata
+ * @typedef {import('./index.js').Slot} Slot
+ * @typedef {import('./index.js').CyclicFSOptions} CyclicFSOptions
+ * @typedef {import('./index.js').SearchOptionsBase} SearchOptionsBase
+ * @typedef {import('./index.js').DeviceOptions} DeviceOptions
+ * @typedef {import('./index.js').WriteOptions} WriteOptions
+ * @typedef {import('./index.js').HistoryOptions} HistoryOptions
+ * @typedef {import('./index.js').Version} Version
+ */
+
+/** a record was written, detail `{ version, offset }` */
+export const STORE_EVENT_WRITE = 'write'
+/** a write wrapped around to the start of the ring, detail `{ version, offset }` */
+export const STORE_EVENT_WRAP = 'wrap'
+/** the handle no longer matched the device, detail `{ version, offset, operation }` */
+export const STORE_EVENT_MISMATCH = 'mismatch'
+/** the handle was refreshed after a mismatch, detail `{ version, offset, empty }` */
+export const STORE_EVENT_RECOVER = 'recover'
+
+/**
+ * Owns a device and handle pair.  Reads always recover from a mismatch,
+ * writes only when the handle was created with `refreshStale`.
+ */
+export class CyclicStore extends EventTarget {
+	#eeprom
+	#handle
+	#refreshStale
+	/** @type {Promise<void>} */
+	#queue = Promise.resolve()
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} handle copied, the store keeps its own
+	 */
+	constructor(eeprom, handle) {
+		super()
+
+		this.#eeprom = eeprom
+		this.#refreshStale = handle.refreshStale ?? false
+		// stale writes are handled here (to dispatch the events)
+		this.#handle = { ...handle, refreshStale: false }
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {number} byteLength
+	 * @param {CyclicFSOptions} [options]
+	 * @returns {Promise<CyclicStore>}
+	 */
+	static async open(eeprom, byteLength, options = undefined) {
+		return new CyclicStore(eeprom, await CyclicFS.init(eeprom, byteLength, options))
+	}
+
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {number} [baseAddress]
+	 * @param {SearchOptionsBase & DeviceOptions & WriteOptions} [options]
+	 * @returns {Promise<CyclicStore>}
+	 */
+	static async mount(eeprom, baseAddress = undefined, options = undefined) {
+		return new CyclicStore(eeprom, await CyclicFS.mount(eeprom, baseAddress, options))
+	}
+
+	get eeprom() { return this.#eeprom }
+
+	/**
+	 * Snapshot of the handle.
+	 * @returns {Metadata}
+	 */
+	get handle() { return { ...this.#handle, refreshStale: this.#refreshStale } }
+
+	get version() { return this.#handle.version }
+	get empty() { return this.#handle.empty }
+
+	/**
+	 * @param {string} type
+	 * @param {Object} detail
+	 */
+	#dispatch(type, detail) {
+		this.dispatchEvent(new CustomEvent(type, { detail }))
+	}
+
+	/**
+	 * @param {string} operation
+	 */
+	#mismatch(operation) {
+		const { version, offset } = this.#handle
+		this.#dispatch(STORE_EVENT_MISMATCH, { version, offset, operation })
+	}
+
+	/**
+	 * @param {string} operation
+	 */
+	async #recover(operation) {
+		this.#mismatch(operation)
+		await this.refresh()
+
+		const { version, offset, empty } = this.#handle
+		this.#dispatch(STORE_EVENT_RECOVER, { version, offset, empty })
+	}
+
+	/**
+	 * @returns {Promise<BufferSource|undefined>}
+	 */
+	async read() {
+		try {
+			return await CyclicFS.read(this.#eeprom, this.#handle)
+		}
+		catch(e) {
+			if(!(e instanceof StaleHandleError)) { throw e }
+		}
+
+		await this.#recover('read')
+		return CyclicFS.read(this.#eeprom, this.#handle)
+	}
+
+	/**
+	 * @param {Version} version
+	 * @returns {Promise<BufferSource|undefined>}
+	 */
+	async readVersion(version) {
+		return CyclicFS.readVersion(this.#eeprom, this.#handle, version)
+	}
+
+	/**
+	 * @param {number} [count = 1]
+	 * @returns {Promise<BufferSource|undefined>}
+	 */
+	async readPrevious(count = 1) {
+		return CyclicFS.readPrevious(this.#eeprom, this.#handle, count)
+	}
+
+	/**
+	 * @param {BufferSource} buffer
+	 * @returns {Promise<void>}
+	 */
+	async write(buffer) {
+		const pending = this.#queue.then(() => this.#write(buffer))
+		this.#queue = pending.catch(() => undefined)
+		return pending
+	}
+
+	/**
+	 * @param {BufferSource} buffer
+	 */
+	async #write(buffer) {
+		try {
+			return await this.#writeOnce(buffer)
+		}
+		catch(e) {
+			if(!(e instanceof StaleHandleError)) { throw e }
+			if(!this.#refreshStale) {
+				this.#mismatch('write')
+				throw e
+			}
+		}
+
+		await this.#recover('write')
+		return this.#writeOnce(buffer)
+	}
+
+	/**
+	 * @param {BufferSource} buffer
+	 */
+	async #writeOnce(buffer) {
+		const { offset: previousOffset, empty: previousEmpty } = this.#handle
+
+		await CyclicFS.write(this.#eeprom, this.#handle, buffer)
+
+		const { version, offset } = this.#handle
+		this.#dispatch(STORE_EVENT_WRITE, { version, offset })
+		if(!previousEmpty && (offset < previousOffset)) {
+			this.#dispatch(STORE_EVENT_WRAP, { version, offset })
+		}
+	}
+
+	/**
+	 * Records, newest to oldest by default.
+	 * @param {HistoryOptions} [options]
+	 * @returns {AsyncGenerator<Slot>}
+	 */
+	async *entries(options = undefined) {
+		yield *CyclicFS.list(this.#eeprom, this.#handle, options)
+	}
+
+	/**
+	 * Re-search the device (for example after another writer).
+	 * @returns {Promise<void>}
+	 */
+	async refresh() {
+		await CyclicFS.refresh(this.#eeprom, this.#handle)
+	}
+}
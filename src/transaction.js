@@ -0,0 +1,192 @@
+import {
+	CyclicFS,
+	CHECKSUM_NONE,
+	CRYPTO_NONE,
+	DEFAULT_CHECKSUM,
+	DEFAULT_CRYPTO,
+	DEFAULT_VERSION_WIDTH,
+	VERSION_WIDTH_64,
+	compareVersion
+} from './index.js'
+import { asUint8Array } from './buffer.js'
+
+/**
+ * @typedef {import('./index.js').EEPROM} EEPROM
+ * @typedef {import('./index.js').Metadata} Metadata
+ */
+
+export const TRANSACTION_COUNT_SIZE = 1
+export const TRANSACTION_ENTRY_HEADER_SIZE = 4 + 1 + 8 + 2
+export const TRANSACTION_MAX_WRITES = 0xFF
+
+const ENTRY_FLAG_EMPTY = 0x01
+
+/**
+ * @typedef {Object} TransactionWrite
+ * @property {Metadata} handle
+ * @property {BufferSource} buffer
+ */
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {number} baseAddress partition of the write
+ * @property {boolean} empty the partition was empty at commit
+ * @property {bigint} fromVersion partition version at commit (the write is applied once past it)
+ * @property {Uint8Array} data
+ */
+
+/**
+ * Atomic writes across partitions of a device using a redo journal (itself
+ * a partition).  A commit first writes a single journal record holding every
+ * write (the commit point), then applies them.  Should power fail part way
+ * `recover` re-applies the writes of the newest journal record not yet
+ * applied, thus a group is either not visible at all or (once recovered)
+ * completely.
+ *
+ * Journal records are `Count (1) | Entry | Entry | ...`, each entry holding
+ * `Base Address (4) | Flags (1) | From Version (8) | Length (2) | Data`
+ * (using the journal endianness, versions of any width are stored as 64-bit).
+ *
+ * The journal must be `checksum`ed (or sealed using `crypto`), otherwise a
+ * torn journal record would read as committed and be replayed.
+ */
+export class CyclicTransaction {
+	/**
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} journal
+	 * @param {Array<TransactionWrite>} writes one per partition
+	 * @returns {Promise<void>}
+	 */
+	static async commit(eeprom, journal, writes) {
+		CyclicTransaction.#validateJournal(journal)
+		if(writes.length === 0) { return }
+		if(writes.length > TRANSACTION_MAX_WRITES) { throw new Error('too many writes') }
+
+		const baseAddresses = new Set(writes.map(({ handle }) => handle.baseAddress))
+		if(baseAddresses.size !== writes.length) { throw new Error('duplicate partition') }
+		if(baseAddresses.has(journal.baseAddress)) { throw new Error('journal in transaction') }
+
+		/** @type {Array<JournalEntry>} */
+		const entries = writes.map(({ handle, buffer }) => {
+			if(buffer === undefined) { throw new Error('buffer undefined') }
+
+			const data = asUint8Array(buffer)
+			if(data.byteLength > CyclicFS.maxRecordLength(handle)) { throw new Error('buffer size larger then partition') }
+
+			return { baseAddress: handle.baseAddress, empty: handle.empty, fromVersion: BigInt(handle.version), data }
+		})
+
+		const record = CyclicTransaction.#encode(entries, journal.littleEndian)
+		if(record.byteLength > CyclicFS.maxRecordLength(journal)) { throw new Error('transaction larger then journal') }
+
+		// commit point
+		await CyclicFS.write(eeprom, journal, record)
+
+		for(const { handle, buffer } of writes) {
+			await CyclicFS.write(eeprom, handle, buffer)
+		}
+	}
+
+	/**
+	 * Re-apply the writes of the newest committed group not yet applied, call
+	 * on start-up before reading any of the partitions.
+	 * @param {EEPROM} eeprom
+	 * @param {Metadata} journal
+	 * @param {Array<Metadata>} handles every partition taking part in transactions
+	 * @returns {Promise<number>} count of re-applied writes
+	 */
+	static async recover(eeprom, journal, handles) {
+		CyclicTransaction.#validateJournal(journal)
+		const record = await CyclicFS.read(eeprom, journal)
+		if(record === undefined) { return 0 }
+
+		const entries = CyclicTransaction.#decode(record, journal.littleEndian)
+
+		let applied = 0
+		for(const { baseAddress, empty, fromVersion, data } of entries) {
+			const handle = handles.find(candidate => candidate.baseAddress === baseAddress)
+			if(handle === undefined) { throw new Error('unknown partition') }
+
+			const width = handle.versionWidth ?? DEFAULT_VERSION_WIDTH
+			const from = width === VERSION_WIDTH_64 ? fromVersion : Number(fromVersion)
+			const done = !handle.empty && (empty || (compareVersion(handle.version, from, width) > 0))
+			if(done) { continue }
+
+			await CyclicFS.write(eeprom, handle, data)
+			applied += 1
+		}
+
+		return applied
+	}
+
+	/**
+	 * @param {Metadata} journal
+	 */
+	static #validateJournal(journal) {
+		const checksum = journal.checksum ?? DEFAULT_CHECKSUM
+		const crypto = journal.crypto ?? DEFAULT_CRYPTO
+		if((checksum === CHECKSUM_NONE) && (crypto === CRYPTO_NONE)) { throw new Error('journal requires checksum or crypto') }
+	}
+
+	/**
+	 * @param {Array<JournalEntry>} entries
+	 * @param {boolean} littleEndian
+	 * @returns {Uint8Array}
+	 */
+	static #encode(entries, littleEndian) {
+		const byteLength = entries.reduce((acc, { data }) => acc + TRANSACTION_ENTRY_HEADER_SIZE + data.byteLength, TRANSACTION_COUNT_SIZE)
+		const record = new Uint8Array(byteLength)
+		const dv = new DataView(record.buffer)
+
+		dv.setUint8(0, entries.length)
+
+		let offset = TRANSACTION_COUNT_SIZE
+		for(const { baseAddress, empty, fromVersion, data } of entries) {
+			dv.setUint32(offset, baseAddress, littleEndian)
+			dv.setUint8(offset + 4, empty ? ENTRY_FLAG_EMPTY : 0)
+			dv.setBigUint64(offset + 5, fromVersion, littleEndian)
+			dv.setUint16(offset + 13, data.byteLength, littleEndian)
+			record.set(data, offset + TRANSACTION_ENTRY_HEADER_SIZE)
+
+			offset += TRANSACTION_ENTRY_HEADER_SIZE + data.byteLength
+		}
+
+		return record
+	}
+
+	/**
+	 * @param {BufferSource} record
+	 * @param {boolean} littleEndian
+	 * @returns {Array<JournalEntry>}
+	 */
+	static #decode(record, littleEndian) {
+		const u8 = asUint8Array(record)
+		const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength)
+
+		if(u8.byteLength < TRANSACTION_COUNT_SIZE) { throw new Error('invalid journal record') }
+		const count = dv.getUint8(0)
+
+		/** @type {Array<JournalEntry>} */
+		const entries = []
+
+		let offset = TRANSACTION_COUNT_SIZE
+		for(let index = 0; index < count; index += 1) {
+			if((offset + TRANSACTION_ENTRY_HEADER_SIZE) > u8.byteLength) { throw new Error('invalid journal record') }
+
+			const length = dv.getUint16(offset + 13, littleEndian)
+			const dataOffset = offset + TRANSACTION_ENTRY_HEADER_SIZE
+			if((dataOffset + length) > u8.byteLength) { throw new Error('invalid journal record') }
+
+			entries.push({
+				baseAddress: dv.getUint32(offset, littleEndian),
+				empty: (dv.getUint8(offset + 4) & ENTRY_FLAG_EMPTY) !== 0,
+				fromVersion: dv.getBigUint64(offset + 5, littleEndian),
+				data: u8.slice(dataOffset, dataOffset + length)
+			})
+
+			offset = dataOffset + length
+		}
+
+		return entries
+	}
+}
@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { open, rm, mkdtemp } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+import {
+	ChunkedEEPROM,
+	CyclicFS,
+	FileEEPROM,
+	MemoryEEPROM
+} from '@johntalton/cyclic-fs'
+
+class RecordingEEPROM extends MemoryEEPROM {
+	reads = []
+	writes = []
+
+	async read(offset, length) {
+		this.reads.push({ offset, length })
+		return super.read(offset, length)
+	}
+
+	async write(offset, buffer) {
+		this.writes.push({ offset, length: buffer.byteLength })
+		return super.write(offset, buffer)
+	}
+}
+
+describe('MemoryEEPROM', () => {
+	it('should create erased memory', async () => {
+		const eeprom = new MemoryEEPROM(16)
+		assert.equal(eeprom.byteLength, 16)
+		assert.ok(eeprom.buffer.every(value => value === 0xFF))
+
+		const zeroed = new MemoryEEPROM(16, { erasedValue: 0x00 })
+		assert.ok(zeroed.buffer.every(value => value === 0x00))
+	})
+
+	it('should use existing memory', async () => {
+		const ab = new ArrayBuffer(8)
+		const eeprom = new MemoryEEPROM(ab)
+		await eeprom.write(2, Uint8Array.from([ 1, 2 ]))
+		assert.deepEqual([ ...new Uint8Array(ab) ], [ 0, 0, 1, 2, 0, 0, 0, 0 ])
+	})
+
+	it('should read a copy', async () => {
+		const eeprom = new MemoryEEPROM(8)
+		const before = await eeprom.read(0, 4)
+		await eeprom.write(0, Uint8Array.from([ 1, 2, 3, 4 ]))
+		assert.deepEqual([ ...before ], [ 0xFF, 0xFF, 0xFF, 0xFF ])
+		assert.deepEqual([ ...await eeprom.read(0, 4) ], [ 1, 2, 3, 4 ])
+	})
+
+	it('should erase', async () => {
+		const eeprom = new MemoryEEPROM(8, { erasedValue: 0x00 })
+		await eeprom.write(0, Uint8Array.from([ 1, 2, 3, 4 ]))
+		await eeprom.erase(1, 2)
+		assert.deepEqual([ ...await eeprom.read(0, 4) ], [ 1, 0, 0, 4 ])
+	})
+
+	it('should reject out of range', async () => {
+		const eeprom = new MemoryEEPROM(8)
+		await assert.rejects(async () => await eeprom.read(4, 8))
+		await assert.rejects(async () => await eeprom.write(7, Uint8Array.from([ 1, 2 ])))
+		await assert.rejects(async () => await eeprom.erase(-1, 2))
+	})
+
+	it('should back a CyclicFS', async () => {
+		const eeprom = new MemoryEEPROM(64)
+		await CyclicFS.format(eeprom, eeprom.byteLength)
+		const handle = await CyclicFS.init(eeprom, eeprom.byteLength, { stride: 8 })
+
+		await CyclicFS.write(eeprom, handle, Uint8Array.from([ 1, 2, 3, 4 ]))
+		const buffer = await CyclicFS.read(eeprom, handle)
+		assert.deepEqual([ ...buffer ], [ 1, 2, 3, 4 ])
+	})
+})
+
+describe('FileEEPROM', () => {
+	it('should read and write image file', async () => {
+		const directory = await mkdtemp(join(tmpdir(), 'cyclic-fs-'))
+		const path = join(directory, 'image.bin')
+
+		try {
+			const handle = await open(path, 'w+')
+			try {
+				await handle.truncate(64)
+
+				const eeprom = new FileEEPROM(handle, 64)
+				assert.equal(eeprom.byteLength, 64)
+
+				await CyclicFS.format(eeprom, eeprom.byteLength)
+				const fs = await CyclicFS.init(eeprom, eeprom.byteLength, { stride: 16 })
+				await CyclicFS.write(eeprom, fs, Uint8Array.from([ 42, 37 ]))
+
+				await assert.rejects(async () => await eeprom.read(60, 8))
+			}
+			finally {
+				await handle.close()
+			}
+
+			const reopened = await open(path, 'r')
+			try {
+				const eeprom = new FileEEPROM(reopened, 64)
+				const fs = await CyclicFS.init(eeprom, eeprom.byteLength, { stride: 16 })
+				assert.equal(fs.empty, false)
+				const buffer = await CyclicFS.read(eeprom, fs)
+				assert.deepEqual([ ...buffer.subarray(0, 2) ], [ 42, 37 ])
+			}
+			finally {
+				await reopened.close()
+			}
+		}
+		finally {
+			await rm(directory, { recursive: true })
+		}
+	})
+})
+
+describe('ChunkedEEPROM', () => {
+	it('should split reads and writes', async () => {
+		const memory = new RecordingEEPROM(32)
+		const eeprom = new ChunkedEEPROM(memory, { maxTransferSize: 6 })
+
+		await eeprom.write(2, Uint8Array.from({ length: 14 }, (_, i) => i))
+		assert.deepEqual(memory.writes, [
+			{ offset: 2, length: 6 },
+			{ offset: 8, length: 6 },
+			{ offset: 14, length: 2 }
+		])
+
+		const buffer = await eeprom.read(2, 14)
+		assert.deepEqual(memory.reads.map(({ length }) => length), [ 6, 6, 2 ])
+		assert.deepEqual([ ...buffer ], Array.from({ length: 14 }, (_, i) => i))
+	})
+
+	it('should pass erase through when supported', async () => {
+		const memory = new MemoryEEPROM(32)
+		const eeprom = new ChunkedEEPROM(memory, { maxTransferSize: 4 })
+		assert.equal(typeof eeprom.erase, 'function')
+
+		const noErase = new ChunkedEEPROM({ read: memory.read.bind(memory), write: memory.write.bind(memory) }, { maxTransferSize: 4 })
+		assert.equal(noErase.erase, undefined)
+	})
+
+	it('should reject invalid transfer size', () => {
+		assert.throws(() => new ChunkedEEPROM(new MemoryEEPROM(8), { maxTransferSize: 0 }))
+	})
+})
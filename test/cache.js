@@ -0,0 +1,192 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+	CyclicCache,
+	CyclicFS,
+	MemoryEEPROM
+} from '@johntalton/cyclic-fs'
+
+const options = { stride: 16, storeLength: true }
+
+class CountingEEPROM extends MemoryEEPROM {
+	writes = 0
+
+	async write(offset, buffer) {
+		this.writes += 1
+		return super.write(offset, buffer)
+	}
+}
+
+class FlakyEEPROM extends MemoryEEPROM {
+	failReads = 0
+
+	async read(offset, length) {
+		if(this.failReads > 0) {
+			this.failReads -= 1
+			throw new Error('bus error')
+		}
+		return super.read(offset, length)
+	}
+}
+
+async function setup(cacheOptions = undefined) {
+	const eeprom = new CountingEEPROM(128)
+	await CyclicFS.format(eeprom, eeprom.byteLength, options)
+	const cache = await CyclicCache.open(eeprom, eeprom.byteLength, { ...options, ...cacheOptions })
+	eeprom.writes = 0
+	return { eeprom, cache }
+}
+
+describe('CyclicCache', () => {
+	it('should write through and read from memory', async () => {
+		const { eeprom, cache } = await setup()
+		assert.equal(await cache.read(), undefined)
+
+		await cache.write(Uint8Array.from([ 1, 2 ]))
+		assert.equal(eeprom.writes, 1)
+		assert.equal(cache.dirty, false)
+
+		// changes to the returned (or written) buffer are not seen
+		const latest = await cache.read()
+		latest[0] = 42
+		assert.deepEqual([ ...await cache.read() ], [ 1, 2 ])
+
+		const handle = await CyclicFS.init(eeprom, eeprom.byteLength, options)
+		assert.deepEqual([ ...await CyclicFS.read(eeprom, handle) ], [ 1, 2 ])
+		assert.equal(cache.version, handle.version)
+	})
+
+	it('should skip writes equal to the latest record', async () => {
+		const { eeprom, cache } = await setup()
+
+		await cache.write(Uint8Array.from([ 1, 2 ]))
+		await cache.write(Uint8Array.from([ 1, 2 ]))
+		await cache.write(Uint8Array.from([ 1, 2 ]).buffer)
+		assert.equal(eeprom.writes, 1)
+
+		await cache.write(Uint8Array.from([ 1, 2, 3 ]))
+		assert.equal(eeprom.writes, 2)
+	})
+
+	it('should skip writes equal to the record on the device', async () => {
+		const eeprom = new CountingEEPROM(128)
+		const handle = await CyclicFS.init(eeprom, eeprom.byteLength, options)
+		await CyclicFS.write(eeprom, handle, Uint8Array.from([ 7 ]))
+		eeprom.writes = 0
+
+		const cache = new CyclicCache(eeprom, handle)
+		await cache.write(Uint8Array.from([ 7 ]))
+		assert.equal(eeprom.writes, 0)
+	})
+
+	it('should coalesce writes made together', async () => {
+		const { eeprom, cache } = await setup()
+
+		await Promise.all([
+			cache.write(Uint8Array.from([ 1 ])),
+			cache.write(Uint8Array.from([ 2 ])),
+			cache.write(Uint8Array.from([ 3 ]))
+		])
+
+		assert.equal(eeprom.writes, 1)
+		assert.deepEqual([ ...await cache.read() ], [ 3 ])
+	})
+
+	it('should debounce writes', async t => {
+		t.mock.timers.enable({ apis: [ 'setTimeout', 'Date' ] })
+		const { eeprom, cache } = await setup({ debounce: 100 })
+
+		const first = cache.write(Uint8Array.from([ 1 ]))
+		await cache.read()
+		t.mock.timers.tick(60)
+		const second = cache.write(Uint8Array.from([ 2 ]))
+		await cache.read()
+		t.mock.timers.tick(60)
+
+		assert.equal(eeprom.writes, 0)
+		assert.equal(cache.dirty, true)
+		assert.deepEqual([ ...await cache.read() ], [ 2 ])
+
+		t.mock.timers.tick(40)
+		await Promise.all([ first, second ])
+
+		assert.equal(eeprom.writes, 1)
+		assert.equal(cache.dirty, false)
+	})
+
+	it('should rate limit writes', async t => {
+		t.mock.timers.enable({ apis: [ 'setTimeout', 'Date' ] })
+		const { eeprom, cache } = await setup({ interval: 1000 })
+
+		await cache.write(Uint8Array.from([ 1 ]))
+		assert.equal(eeprom.writes, 1)
+
+		const pending = [ 2, 3, 4 ].map(value => cache.write(Uint8Array.from([ value ])))
+		await cache.read()
+		t.mock.timers.tick(500)
+		assert.equal(eeprom.writes, 1)
+
+		t.mock.timers.tick(500)
+		await Promise.all(pending)
+		assert.equal(eeprom.writes, 2)
+
+		const handle = await CyclicFS.init(eeprom, eeprom.byteLength, options)
+		assert.deepEqual([ ...await CyclicFS.read(eeprom, handle) ], [ 4 ])
+	})
+
+	it('should drop a pending write reverted to the device record', async t => {
+		t.mock.timers.enable({ apis: [ 'setTimeout', 'Date' ] })
+		const { eeprom, cache } = await setup({ debounce: 100 })
+
+		cache.write(Uint8Array.from([ 1 ]))
+		await cache.read()
+		t.mock.timers.tick(100)
+		await cache.flush()
+
+		const changed = cache.write(Uint8Array.from([ 2 ]))
+		await cache.write(Uint8Array.from([ 1 ]))
+		await changed
+
+		assert.equal(cache.dirty, false)
+		t.mock.timers.tick(100)
+		await cache.flush()
+		assert.equal(eeprom.writes, 1)
+	})
+
+	it('should flush on demand', async t => {
+		t.mock.timers.enable({ apis: [ 'setTimeout', 'Date' ] })
+		const { eeprom, cache } = await setup({ debounce: 60_000 })
+
+		const pending = cache.write(Uint8Array.from([ 9 ]))
+		await cache.read()
+		await cache.flush()
+		await pending
+
+		assert.equal(eeprom.writes, 1)
+		assert.equal(cache.dirty, false)
+
+		// nothing pending
+		await cache.flush()
+		assert.equal(eeprom.writes, 1)
+	})
+
+	it('should reject failed writes', async () => {
+		const { cache } = await setup()
+
+		await assert.rejects(async () => await cache.write(new Uint8Array(32)), /larger then stride/)
+		assert.equal(await cache.read(), undefined)
+		await assert.rejects(async () => await cache.write(undefined), /buffer undefined/)
+	})
+	it('should retry a failed load', async () => {
+		const eeprom = new FlakyEEPROM(128)
+		await CyclicFS.format(eeprom, eeprom.byteLength, options)
+		const handle = await CyclicFS.init(eeprom, eeprom.byteLength, options)
+		await CyclicFS.write(eeprom, handle, Uint8Array.from([ 1, 2, 3 ]))
+
+		const cache = new CyclicCache(eeprom, handle)
+		eeprom.failReads = 1
+		await assert.rejects(async () => await cache.read(), /bus error/)
+		assert.deepEqual([ ...await cache.read() ], [ 1, 2, 3 ])
+	})
+})
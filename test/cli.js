@@ -0,0 +1,219 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFile } from 'node:child_process'
+import { mkdtemp, open, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { promisify } from 'node:util'
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url))
+
+/**
+ * @param {Array<string>} args
+ */
+async function cli(...args) {
+	try {
+		const { stdout } = await promisify(execFile)(process.execPath, [ CLI, ...args ], { encoding: 'buffer' })
+		return { code: 0, stdout }
+	}
+	catch(e) {
+		if(typeof e.code !== 'number') { throw e }
+		return { code: e.code, stdout: e.stdout, stderr: e.stderr.toString() }
+	}
+}
+
+async function json(...args) {
+	const { code, stdout } = await cli(...args, '--json')
+	assert.equal(code, 0)
+	return JSON.parse(stdout.toString())
+}
+
+describe('cli', () => {
+	let directory
+	let image
+
+	before(async () => {
+		directory = await mkdtemp(join(tmpdir(), 'cyclic-fs-cli-'))
+		image = join(directory, 'image.bin')
+	})
+
+	after(async () => {
+		await rm(directory, { recursive: true })
+	})
+
+	it('should print usage', async () => {
+		const { code, stdout } = await cli('--help')
+		assert.equal(code, 0)
+		assert.match(stdout.toString(), /usage: cyclic-fs/)
+	})
+
+	it('should reject unknown command', async () => {
+		const { code, stderr } = await cli('nope', image)
+		assert.equal(code, 2)
+		assert.match(stderr, /unknown command/)
+	})
+
+	it('should format, write and read', async () => {
+		assert.deepEqual(await json('format', image, '--size', '128', '--stride', '16', '--checksum', 'crc8'), { byteLength: 128 })
+
+		assert.deepEqual(await json('write', image, '--stride', '16', '--checksum', 'crc8', '01 02 03'), { version: 0 })
+		assert.deepEqual(await json('write', image, '--stride', '16', '--checksum', 'crc8', 'a0b0'), { version: 1 })
+
+		const { version, data } = await json('read', image, '--stride', '16', '--checksum', 'crc8')
+		assert.equal(version, 1)
+		assert.ok(data.startsWith('a0 b0'))
+
+		const { stdout } = await cli('read', image, '--stride', '16', '--checksum', 'crc8', '--raw')
+		assert.deepEqual([ ...stdout.subarray(0, 2) ], [ 0xA0, 0xB0 ])
+	})
+
+	it('should reject write without data', async () => {
+		const { code, stderr } = await cli('write', image, '--stride', '16', '--checksum', 'crc8')
+		assert.equal(code, 2)
+		assert.match(stderr, /missing data/)
+	})
+
+	it('should write from input file', async () => {
+		const input = join(directory, 'input.bin')
+		await writeFile(input, Uint8Array.from([ 7, 8, 9 ]))
+
+		await json('write', image, '--stride', '16', '--checksum', 'crc8', '--input', input)
+		const { data } = await json('read', image, '--stride', '16', '--checksum', 'crc8')
+		assert.ok(data.startsWith('07 08 09'))
+	})
+
+	it('should list records and slots', async () => {
+		const records = await json('list', image, '--stride', '16', '--checksum', 'crc8')
+		assert.deepEqual(records.map(({ version }) => version), [ 2, 1, 0 ])
+
+		const slots = await json('slots', image, '--stride', '16', '--checksum', 'crc8')
+		assert.equal(slots.length, 8)
+		assert.deepEqual(slots.map(({ empty }) => empty), [ false, false, false, true, true, true, true, true ])
+	})
+
+	it('should report stats', async () => {
+		const stats = await json('stats', image, '--stride', '16', '--checksum', 'crc8', '--endurance', '100')
+		assert.equal(stats.slotCount, 8)
+		assert.equal(stats.totalWrites, 3)
+		assert.equal(stats.endurance, 100)
+	})
+
+	it('should mount superblock', async () => {
+		const sbImage = join(directory, 'superblock.bin')
+		await json('format', sbImage, '--size', '256', '--stride', '32', '--superblock', '--little-endian')
+		await json('write', sbImage, '42')
+
+		const info = await json('info', sbImage)
+		assert.equal(info.stride, 32)
+		assert.equal(info.littleEndian, true)
+		assert.equal(info.superblock, true)
+		assert.equal(info.version, 0)
+	})
+
+	it('should use 64-bit versions', async () => {
+		const wide = join(directory, 'wide.bin')
+		await json('format', wide, '--size', '128', '--stride', '16', '--version-width', '64', '--superblock')
+		assert.deepEqual(await json('write', wide, '01'), { version: '0' })
+
+		const { stdout } = await cli('list', wide)
+		assert.equal(stdout.toString(), '0000000000000000  01 ff ff ff ff ff ff ff\n')
+		assert.equal((await json('info', wide)).versionWidth, 64)
+	})
+
+	it('should export and import', async () => {
+		const { stdout } = await cli('export', image, '--stride', '16', '--checksum', 'crc8')
+		const exported = join(directory, 'export.ndjson')
+		await writeFile(exported, stdout)
+
+		const clone = join(directory, 'clone.bin')
+		assert.deepEqual(await json('import', clone, '--size', '256', '--input', exported, '--stride', '32', '--superblock'), { version: 2, empty: false })
+
+		const records = await json('list', clone)
+		assert.deepEqual(records.map(({ version }) => version), [ 2, 1, 0 ])
+		assert.ok(records[0].data.startsWith('07 08 09'))
+	})
+
+	it('should import into the rest of the image', async () => {
+		const { stdout } = await cli('export', image, '--stride', '16', '--checksum', 'crc8')
+		const exported = join(directory, 'export-rest.ndjson')
+		await writeFile(exported, stdout)
+
+		const larger = join(directory, 'larger.bin')
+		await json('import', larger, '--size', '512', '--input', exported)
+
+		assert.equal((await json('info', larger, '--stride', '16', '--checksum', 'crc8')).byteLength, 512)
+		const records = await json('list', larger, '--stride', '16', '--checksum', 'crc8')
+		assert.deepEqual(records.map(({ version }) => version), [ 2, 1, 0 ])
+
+		// formatted past the length of the export
+		const content = await readFile(larger)
+		assert.ok(content.subarray(256).every(value => value === 0xFF))
+	})
+
+	it('should read an encrypted image with a key file', async () => {
+		const sealed = join(directory, 'sealed.bin')
+		const keyFile = join(directory, 'key.bin')
+		await writeFile(keyFile, Uint8Array.from({ length: 16 }, (_, index) => index))
+
+		await json('format', sealed, '--size', '256', '--stride', '64', '--store-length', '--superblock', '--crypto', 'aes-gcm')
+		assert.deepEqual(await json('write', sealed, '--key-file', keyFile, '01 02 03'), { version: 0 })
+
+		for(const command of [ 'info', 'list', 'slots' ]) {
+			const { code, stderr } = await cli(command, sealed)
+			assert.equal(code, 2)
+			assert.match(stderr, /missing --key-file for aes-gcm/)
+		}
+
+		const info = await json('info', sealed, '--key-file', keyFile)
+		assert.equal(info.crypto, 'aes-gcm')
+		assert.equal(info.version, 0)
+		assert.equal(info.key, undefined)
+
+		assert.deepEqual(await json('list', sealed, '--key-file', keyFile), [ { version: 0, data: '01 02 03' } ])
+
+		const [ slot ] = await json('slots', sealed, '--key-file', keyFile)
+		assert.equal(slot.valid, true)
+		assert.equal(slot.data, '01 02 03')
+	})
+
+	it('should fsck', async () => {
+		assert.equal((await json('fsck', image, '--stride', '16', '--checksum', 'crc8')).ok, true)
+
+		// corrupt the data of the first slot
+		const corrupt = join(directory, 'corrupt.bin')
+		await json('format', corrupt, '--size', '64', '--stride', '16', '--checksum', 'crc8')
+		await json('write', corrupt, '--stride', '16', '--checksum', 'crc8', '01')
+		await json('write', corrupt, '--stride', '16', '--checksum', 'crc8', '02')
+		const handle = await open(corrupt, 'r+')
+		await handle.write(Uint8Array.from([ 0x55 ]), 0, 1, 8)
+		await handle.close()
+
+		const { code, stdout } = await cli('fsck', corrupt, '--stride', '16', '--checksum', 'crc8', '--json')
+		assert.equal(code, 1)
+		const report = JSON.parse(stdout.toString())
+		assert.deepEqual(report.problems.map(({ type, offset }) => ({ type, offset })), [ { type: 'invalid', offset: 0 } ])
+		assert.equal(report.ok, false)
+	})
+
+	it('should fsck repair', async () => {
+		const stray = join(directory, 'stray.bin')
+		await json('format', stray, '--size', '64', '--stride', '16')
+		for(const data of [ '01', '02', '03' ]) {
+			await json('write', stray, '--stride', '16', data)
+		}
+
+		// erase the header of the middle record
+		const handle = await open(stray, 'r+')
+		await handle.write(Uint8Array.from([ 0xFF, 0xFF, 0xFF, 0xFF ]), 0, 4, 16)
+		await handle.close()
+
+		const { code, stdout } = await cli('fsck', stray, '--stride', '16', '--repair', '--json')
+		assert.equal(code, 1)
+		const report = JSON.parse(stdout.toString())
+		assert.equal(report.problems[0].type, 'stray-empty')
+		assert.equal(report.repaired, 1)
+
+		assert.equal((await json('fsck', stray, '--stride', '16')).ok, true)
+	})
+})
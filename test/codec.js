@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+	CyclicCodec,
+	CyclicFS,
+	MemoryEEPROM
+} from '@johntalton/cyclic-fs'
+
+const SCHEMA_V1 = {
+	version: 1,
+	fields: [
+		{ name: 'count', type: 'u16' },
+		{ name: 'temperature', type: 'f32' }
+	]
+}
+
+const SCHEMA_V2 = {
+	version: 2,
+	fields: [
+		{ name: 'count', type: 'u32' },
+		{ name: 'temperature', type: 'f32' },
+		{ name: 'offset', type: 'i32' },
+		{ name: 'enabled', type: 'bool' },
+		{ name: 'label', type: 'string', length: 8 }
+	]
+}
+
+describe('CyclicCodec', () => {
+	it('should compute size and stride', () => {
+		assert.equal(CyclicCodec.size(SCHEMA_V1), 2 + 2 + 4)
+		assert.equal(CyclicCodec.size(SCHEMA_V2), 2 + 4 + 4 + 4 + 1 + 8)
+
+		assert.equal(CyclicCodec.stride(SCHEMA_V1), 4 + 8)
+		assert.equal(CyclicCodec.stride(SCHEMA_V1, { checksum: 'crc16', storeLength: true }), 4 + 2 + 2 + 8)
+	})
+
+	it('should reject invalid schema', () => {
+		assert.throws(() => CyclicCodec.size({ version: 1, fields: [ { name: 'a', type: 'u128' } ] }))
+		assert.throws(() => CyclicCodec.size({ version: 1, fields: [ { name: 'a', type: 'string' } ] }))
+	})
+
+	it('should encode and decode', () => {
+		const value = { count: 0x12345678, temperature: 21.5, offset: -7, enabled: true, label: 'hello' }
+
+		const be = CyclicCodec.encode(SCHEMA_V2, value, false)
+		assert.deepEqual([ ...be.subarray(0, 6) ], [ 0x00, 0x02, 0x12, 0x34, 0x56, 0x78 ])
+
+		const le = CyclicCodec.encode(SCHEMA_V2, value, true)
+		assert.deepEqual([ ...le.subarray(0, 6) ], [ 0x02, 0x00, 0x78, 0x56, 0x34, 0x12 ])
+
+		assert.deepEqual(CyclicCodec.decode(SCHEMA_V2, be, false), { schemaVersion: 2, value })
+		assert.deepEqual(CyclicCodec.decode(SCHEMA_V2, le, true), { schemaVersion: 2, value })
+	})
+
+	it('should reject missing field and long string', () => {
+		assert.throws(() => CyclicCodec.encode(SCHEMA_V1, { count: 1 }, false), { message: 'missing field temperature' })
+		assert.throws(() => CyclicCodec.encode(SCHEMA_V2, { count: 1, temperature: 0, offset: 0, enabled: false, label: 'too long label' }, false))
+	})
+
+	it('should reject unknown schema version', () => {
+		const encoded = CyclicCodec.encode(SCHEMA_V2, { count: 1, temperature: 0, offset: 0, enabled: false, label: '' }, false)
+		assert.throws(() => CyclicCodec.decode(SCHEMA_V1, encoded, false), { message: 'unknown schema version' })
+	})
+
+	it('should write, read and list records across schema versions', async () => {
+		const options = { stride: CyclicCodec.stride(SCHEMA_V2, { checksum: 'crc8' }), checksum: 'crc8', littleEndian: true }
+		const byteLength = options.stride * 8
+
+		const eeprom = new MemoryEEPROM(byteLength)
+		await CyclicFS.format(eeprom, byteLength, options)
+		const handle = await CyclicFS.init(eeprom, byteLength, options)
+
+		assert.equal(await CyclicCodec.readRecord(eeprom, handle, SCHEMA_V1), undefined)
+
+		// older firmware
+		await CyclicCodec.writeRecord(eeprom, handle, SCHEMA_V1, { count: 1, temperature: 0.5 })
+		// newer firmware
+		await CyclicCodec.writeRecord(eeprom, handle, SCHEMA_V2, { count: 2, temperature: 1.5, offset: -1, enabled: true, label: 'v2' })
+
+		const latest = await CyclicCodec.readRecord(eeprom, handle, [ SCHEMA_V2, SCHEMA_V1 ])
+		assert.deepEqual(latest, { schemaVersion: 2, value: { count: 2, temperature: 1.5, offset: -1, enabled: true, label: 'v2' } })
+
+		const records = []
+		for await (const record of CyclicCodec.list(eeprom, handle, [ SCHEMA_V1, SCHEMA_V2 ])) { records.push(record) }
+		assert.deepEqual(records, [
+			{ version: 1, schemaVersion: 2, value: { count: 2, temperature: 1.5, offset: -1, enabled: true, label: 'v2' } },
+			{ version: 0, schemaVersion: 1, value: { count: 1, temperature: 0.5 } }
+		])
+	})
+})
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+	CHECKSUM_CRC16,
+	CHECKSUM_CRC32,
+	CHECKSUM_CRC8,
+	computeChecksum,
+	crc16,
+	crc32,
+	crc8
+} from '@johntalton/cyclic-fs'
+
+const CHECK = new TextEncoder().encode('123456789')
+
+describe('crc', () => {
+	it('should match CRC-8/SMBUS check value', () => {
+		assert.equal(crc8(CHECK), 0xF4)
+	})
+
+	it('should match CRC-16/CCITT-FALSE check value', () => {
+		assert.equal(crc16(CHECK), 0x29B1)
+	})
+
+	it('should match CRC-32 check value', () => {
+		assert.equal(crc32(CHECK), 0xCB_F4_39_26)
+	})
+
+	it('should dispatch by name', () => {
+		assert.equal(computeChecksum(CHECKSUM_CRC8, CHECK), 0xF4)
+		assert.equal(computeChecksum(CHECKSUM_CRC16, CHECK), 0x29B1)
+		assert.equal(computeChecksum(CHECKSUM_CRC32, CHECK), 0xCB_F4_39_26)
+	})
+
+	it('should reject unknown checksum', () => {
+		assert.throws(() => computeChecksum('md5', CHECK))
+	})
+})
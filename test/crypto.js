@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+	CRYPTO_AES_GCM,
+	CRYPTO_HMAC,
+	CRYPTO_NONE,
+	CRYPTO_OVERHEAD,
+	seal,
+	unseal
+} from '@johntalton/cyclic-fs'
+
+const PAYLOAD = Uint8Array.from([ 1, 2, 3, 4, 5 ])
+const ASSOCIATED = Uint8Array.from([ 0, 0, 0, 7 ])
+
+const aesKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 128 }, false, [ 'encrypt', 'decrypt' ])
+const hmacKey = await crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, [ 'sign', 'verify' ])
+
+describe('crypto', () => {
+	for(const [ mode, key ] of [ [ CRYPTO_AES_GCM, aesKey ], [ CRYPTO_HMAC, hmacKey ] ]) {
+		describe(mode, () => {
+			it('should round trip', async () => {
+				const sealed = await seal(mode, key, ASSOCIATED, PAYLOAD)
+				assert.equal(sealed.byteLength, CRYPTO_OVERHEAD[mode] + PAYLOAD.byteLength)
+				assert.deepEqual(await unseal(mode, key, ASSOCIATED, sealed), PAYLOAD)
+			})
+
+			it('should reject tampered payload', async () => {
+				const sealed = await seal(mode, key, ASSOCIATED, PAYLOAD)
+				sealed[sealed.byteLength - 1] ^= 0x01
+				assert.equal(await unseal(mode, key, ASSOCIATED, sealed), undefined)
+			})
+
+			it('should reject tampered tag', async () => {
+				const sealed = await seal(mode, key, ASSOCIATED, PAYLOAD)
+				sealed[CRYPTO_OVERHEAD[mode] - 1] ^= 0x01
+				assert.equal(await unseal(mode, key, ASSOCIATED, sealed), undefined)
+			})
+
+			it('should bind associated data', async () => {
+				const sealed = await seal(mode, key, ASSOCIATED, PAYLOAD)
+				assert.equal(await unseal(mode, key, Uint8Array.from([ 0, 0, 0, 8 ]), sealed), undefined)
+			})
+
+			it('should require a key', async () => {
+				await assert.rejects(async () => await seal(mode, undefined, ASSOCIATED, PAYLOAD), /key required/)
+			})
+		})
+	}
+
+	it('should encrypt with AES-GCM', async () => {
+		const sealed = await seal(CRYPTO_AES_GCM, aesKey, ASSOCIATED, PAYLOAD)
+		assert.notDeepEqual(sealed.subarray(CRYPTO_OVERHEAD[CRYPTO_AES_GCM]), PAYLOAD)
+	})
+
+	it('should pass through none', async () => {
+		const sealed = await seal(CRYPTO_NONE, undefined, ASSOCIATED, PAYLOAD)
+		assert.deepEqual(sealed, PAYLOAD)
+		assert.deepEqual(await unseal(CRYPTO_NONE, undefined, ASSOCIATED, sealed), PAYLOAD)
+	})
+
+	it('should reject unknown crypto', async () => {
+		await assert.rejects(async () => await seal('rot13', undefined, ASSOCIATED, PAYLOAD), /unknown crypto/)
+	})
+})
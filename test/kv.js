@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+	CyclicFS,
+	CyclicKV,
+	MemoryEEPROM,
+	range
+} from '@johntalton/cyclic-fs'
+
+async function setup(byteLength, options) {
+	const eeprom = new MemoryEEPROM(byteLength)
+	await CyclicFS.format(eeprom, byteLength, options)
+	const handle = await CyclicFS.init(eeprom, byteLength, options)
+	return { eeprom, handle }
+}
+
+describe('CyclicKV', () => {
+	it('should return undefined for unknown key', async () => {
+		const { eeprom, handle } = await setup(64, { stride: 16 })
+		assert.equal(await CyclicKV.get(eeprom, handle, 1), undefined)
+	})
+
+	it('should get latest value per key', async () => {
+		const { eeprom, handle } = await setup(128, { stride: 16 })
+
+		await CyclicKV.set(eeprom, handle, 1, Uint8Array.from([ 1 ]))
+		await CyclicKV.set(eeprom, handle, 2, Uint8Array.from([ 2, 2 ]))
+		await CyclicKV.set(eeprom, handle, 1, Uint8Array.from([ 11, 11, 11 ]))
+
+		assert.deepEqual([ ...await CyclicKV.get(eeprom, handle, 1) ], [ 11, 11, 11 ])
+		assert.deepEqual([ ...await CyclicKV.get(eeprom, handle, 2) ], [ 2, 2 ])
+
+		const entries = []
+		for await (const [ key, value ] of CyclicKV.entries(eeprom, handle)) { entries.push([ key, [ ...value ] ]) }
+		assert.deepEqual(entries, [ [ 1, [ 11, 11, 11 ] ], [ 2, [ 2, 2 ] ] ])
+	})
+
+	it('should survive re-init', async () => {
+		const options = { stride: 16, littleEndian: true, storeLength: true }
+		const { eeprom, handle } = await setup(128, options)
+
+		await CyclicKV.set(eeprom, handle, 0x1234, Uint8Array.from([ 42 ]))
+
+		const other = await CyclicFS.init(eeprom, 128, options)
+		assert.deepEqual([ ...await CyclicKV.get(eeprom, other, 0x1234) ], [ 42 ])
+	})
+
+	it('should copy live records forward across wrap', async () => {
+		const { eeprom, handle } = await setup(64, { stride: 16 })
+
+		await CyclicKV.set(eeprom, handle, 1, Uint8Array.from([ 1 ]))
+		for(const value of [ 10, 11, 12, 13, 14, 15, 16, 17, 18 ]) {
+			await CyclicKV.set(eeprom, handle, 2, Uint8Array.from([ value ]))
+		}
+
+		assert.deepEqual([ ...await CyclicKV.get(eeprom, handle, 1) ], [ 1 ])
+		assert.deepEqual([ ...await CyclicKV.get(eeprom, handle, 2) ], [ 18 ])
+
+		// a fresh handle sees the same
+		const other = await CyclicFS.init(eeprom, 64, { stride: 16 })
+		assert.deepEqual([ ...await CyclicKV.get(eeprom, other, 1) ], [ 1 ])
+	})
+
+	it('should keep many keys across many writes', async () => {
+		const { eeprom, handle } = await setup(256, { stride: 16, checksum: 'crc8' })
+
+		const expected = new Map()
+		for(const round of [ 0, 1, 2, 3, 4, 5, 6, 7, 8, 9 ]) {
+			for(const key of [ 1, 2, 3, 4, 5 ]) {
+				if((round + key) % 3 === 0) { continue }
+				const value = Uint8Array.from([ key, round ])
+				expected.set(key, [ key, round ])
+				await CyclicKV.set(eeprom, handle, key, value)
+			}
+		}
+
+		for(const [ key, value ] of expected) {
+			assert.deepEqual([ ...await CyclicKV.get(eeprom, handle, key) ], value)
+		}
+	})
+
+	it('should copy forward ahead of flash sector erase', async () => {
+		const options = { stride: 16, flash: true, sectorSize: 32 }
+		const { eeprom, handle } = await setup(128, options)
+
+		await CyclicKV.set(eeprom, handle, 1, Uint8Array.from([ 1 ]))
+		await CyclicKV.set(eeprom, handle, 2, Uint8Array.from([ 2 ]))
+		for(const value of range(0, 20)) {
+			await CyclicKV.set(eeprom, handle, 3, Uint8Array.from([ value ]))
+		}
+
+		const other = await CyclicFS.init(eeprom, 128, options)
+		assert.deepEqual([ ...await CyclicKV.get(eeprom, other, 1) ], [ 1 ])
+		assert.deepEqual([ ...await CyclicKV.get(eeprom, other, 2) ], [ 2 ])
+		assert.deepEqual([ ...await CyclicKV.get(eeprom, other, 3) ], [ 20 ])
+	})
+
+	it('should reject when full', async () => {
+		const { eeprom, handle } = await setup(64, { stride: 16 })
+
+		await CyclicKV.set(eeprom, handle, 1, Uint8Array.from([ 1 ]))
+		await CyclicKV.set(eeprom, handle, 2, Uint8Array.from([ 2 ]))
+		await assert.rejects(async () => await CyclicKV.set(eeprom, handle, 3, Uint8Array.from([ 3 ])), { message: 'store full' })
+
+		// existing keys can still be updated
+		await CyclicKV.set(eeprom, handle, 1, Uint8Array.from([ 5 ]))
+		assert.deepEqual([ ...await CyclicKV.get(eeprom, handle, 1) ], [ 5 ])
+	})
+
+	it('should reject invalid key', async () => {
+		const { eeprom, handle } = await setup(64, { stride: 16 })
+		await assert.rejects(async () => await CyclicKV.set(eeprom, handle, 0x1_00_00, Uint8Array.from([ 1 ])))
+		await assert.rejects(async () => await CyclicKV.get(eeprom, handle, -1))
+	})
+
+	it('should reject span', async () => {
+		const { eeprom, handle } = await setup(64, { stride: 16, span: true })
+		await assert.rejects(async () => await CyclicKV.set(eeprom, handle, 1, Uint8Array.from([ 1 ])))
+	})
+})
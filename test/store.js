@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+	CyclicFS,
+	CyclicStore,
+	MemoryEEPROM,
+	StaleHandleError
+} from '@johntalton/cyclic-fs'
+
+const options = { stride: 8 }
+
+async function setup(storeOptions = options) {
+	const eeprom = new MemoryEEPROM(64)
+	await CyclicFS.format(eeprom, eeprom.byteLength, storeOptions)
+	const store = await CyclicStore.open(eeprom, eeprom.byteLength, storeOptions)
+
+	const events = []
+	for(const type of [ 'write', 'wrap', 'mismatch', 'recover' ]) {
+		store.addEventListener(type, event => events.push([ type, event.detail ]))
+	}
+
+	return { eeprom, store, events }
+}
+
+describe('CyclicStore', () => {
+	it('should write, read and list', async () => {
+		const { store } = await setup()
+		assert.equal(store.empty, true)
+		assert.equal(await store.read(), undefined)
+
+		await store.write(Uint8Array.from([ 1, 2, 3, 4 ]))
+		await store.write(Uint8Array.from([ 5, 6, 7, 8 ]))
+
+		assert.equal(store.empty, false)
+		assert.equal(store.version, 1)
+		assert.deepEqual([ ...await store.read() ], [ 5, 6, 7, 8 ])
+
+		const versions = []
+		for await (const { version } of store.entries()) { versions.push(version) }
+		assert.deepEqual(versions, [ 1, 0 ])
+
+		const oldest = []
+		for await (const { version } of store.entries({ order: 'oldest-first', limit: 1 })) { oldest.push(version) }
+		assert.deepEqual(oldest, [ 0 ])
+
+		assert.deepEqual([ ...await store.readVersion(0) ], [ 1, 2, 3, 4 ])
+		assert.deepEqual([ ...await store.readPrevious() ], [ 1, 2, 3, 4 ])
+	})
+
+	it('should not mutate the given handle', async () => {
+		const eeprom = new MemoryEEPROM(64)
+		await CyclicFS.format(eeprom, eeprom.byteLength, options)
+		const handle = await CyclicFS.init(eeprom, eeprom.byteLength, options)
+
+		const store = new CyclicStore(eeprom, handle)
+		await store.write(Uint8Array.from([ 1 ]))
+
+		assert.equal(handle.empty, true)
+		assert.equal(store.handle.empty, false)
+		assert.equal(store.eeprom, eeprom)
+	})
+
+	it('should emit write and wrap events', async () => {
+		const { store, events } = await setup()
+
+		for(let i = 0; i < 9; i += 1) {
+			await store.write(Uint8Array.from([ i ]))
+		}
+
+		assert.deepEqual(events.filter(([ type ]) => type === 'write').map(([ , { offset } ]) => offset), [ 0, 8, 16, 24, 32, 40, 48, 56, 0 ])
+		assert.deepEqual(events.filter(([ type ]) => type === 'wrap'), [ [ 'wrap', { version: 8, offset: 0 } ] ])
+	})
+
+	it('should order concurrent writes', async () => {
+		const { store, events } = await setup()
+
+		await Promise.all([ 1, 2, 3 ].map(value => store.write(Uint8Array.from([ value ]))))
+		assert.deepEqual(events.map(([ type, { version } ]) => [ type, version ]), [ [ 'write', 0 ], [ 'write', 1 ], [ 'write', 2 ] ])
+		assert.deepEqual([ ...await store.read() ].slice(0, 1), [ 3 ])
+	})
+
+	it('should recover read after another writer', async () => {
+		const { eeprom, store, events } = await setup()
+		await store.write(Uint8Array.from([ 1 ]))
+
+		// another writer wraps the whole ring
+		const other = await CyclicFS.init(eeprom, eeprom.byteLength, options)
+		for(let i = 0; i < 8; i += 1) {
+			await CyclicFS.write(eeprom, other, Uint8Array.from([ 10 + i ]))
+		}
+
+		assert.deepEqual([ ...await store.read() ].slice(0, 1), [ 17 ])
+		assert.deepEqual(events.slice(1), [
+			[ 'mismatch', { version: 0, offset: 0, operation: 'read' } ],
+			[ 'recover', { version: 8, offset: 0, empty: false } ]
+		])
+	})
+
+	it('should reject stale write', async () => {
+		const { eeprom, store, events } = await setup()
+
+		const other = await CyclicFS.init(eeprom, eeprom.byteLength, options)
+		await CyclicFS.write(eeprom, other, Uint8Array.from([ 1 ]))
+
+		await assert.rejects(async () => await store.write(Uint8Array.from([ 2 ])), StaleHandleError)
+		assert.deepEqual(events, [ [ 'mismatch', { version: 0, offset: 0, operation: 'write' } ] ])
+
+		await store.refresh()
+		await store.write(Uint8Array.from([ 2 ]))
+		assert.equal(store.version, 1)
+	})
+
+	it('should recover stale write when configured', async () => {
+		const { eeprom, store, events } = await setup({ ...options, refreshStale: true })
+
+		const other = await CyclicFS.init(eeprom, eeprom.byteLength, options)
+		await CyclicFS.write(eeprom, other, Uint8Array.from([ 1 ]))
+
+		await store.write(Uint8Array.from([ 2 ]))
+		assert.deepEqual(events.map(([ type ]) => type), [ 'mismatch', 'recover', 'write' ])
+		assert.equal(store.version, 1)
+		assert.equal(store.handle.refreshStale, true)
+	})
+
+	it('should mount', async () => {
+		const eeprom = new MemoryEEPROM(64)
+		await CyclicFS.format(eeprom, eeprom.byteLength, { ...options, superblock: true })
+
+		const store = await CyclicStore.mount(eeprom)
+		await store.write(Uint8Array.from([ 42 ]))
+		assert.equal(store.handle.superblock, true)
+		assert.deepEqual([ ...await store.read() ].slice(0, 1), [ 42 ])
+	})
+})
@@ -2,12 +2,21 @@ import { describe, it } from 'node:test'
 import assert from 'node:assert/strict'
 
 import {
+	CHECKSUM_CRC16,
+	CHECKSUM_CRC32,
+	CHECKSUM_CRC8,
 	CyclicFS,
+	compareVersion,
 	DEFAULT_BASE_ADDRESS,
 	DEFAULT_LITTLE_ENDIAN,
 	DEFAULT_STRIDE,
+	erasedMarker,
 	HEADER_INIT_VALUE32,
-	HEADER_SIZE
+	HEADER_SIZE,
+	incrementVersion,
+	MemoryEEPROM,
+	StaleHandleError,
+	SUPERBLOCK_SIZE
 } from '@johntalton/cyclic-fs'
 
 class MockEEPROM {
@@ -44,6 +53,59 @@ class MockEEPROM {
 	}
 }
 
+class RecordingEEPROM extends MockEEPROM {
+	writes = []
+
+	async write(offset, buffer) {
+		this.writes.push({ offset, length: buffer.byteLength })
+		return super.write(offset, buffer)
+	}
+}
+class CountingEEPROM extends MockEEPROM {
+	reads = []
+
+	async read(offset, length, target) {
+		this.reads.push({ offset, length })
+		return super.read(offset, length, target)
+	}
+}
+
+class WornEEPROM extends RecordingEEPROM {
+	worn
+
+	constructor(worn, options) {
+		super(options)
+		this.worn = new Set(worn)
+	}
+
+	async write(offset, buffer) {
+		await super.write(offset, buffer)
+		// worn cells read back with a flipped bit
+		for(const address of this.worn) {
+			if(address >= offset && address < offset + buffer.byteLength) { this.u8[address] ^= 0x01 }
+		}
+	}
+}
+
+class FlashMockEEPROM extends MockEEPROM {
+	erases = []
+
+	async erase(offset, length) {
+		if(offset + length > this.byteLength) { throw new Error('overflow') }
+		this.erases.push({ offset, length })
+		this.u8.fill(0xFF, offset, offset + length)
+	}
+
+	async write(offset, buffer) {
+		if(offset + buffer.byteLength > this.byteLength) { throw new Error('overflow') }
+		const bufferU8 = ArrayBuffer.isView(buffer) ?
+			new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength) :
+			new Uint8Array(buffer, 0, buffer.byteLength)
+
+		// program can only clear bits
+		bufferU8.forEach((value, index) => { this.u8[offset + index] &= value })
+	}
+}
 
 describe('CyclicFS', () => {
 	describe('format', () => {
@@ -497,4 +559,2013 @@ describe('CyclicFS', () => {
 			assert.equal(ary[3].version, 2)
 		})
 	})
+
+	describe('checksum', () => {
+		it('should read written value for each checksum', async () => {
+			for(const checksum of [ CHECKSUM_CRC8, CHECKSUM_CRC16, CHECKSUM_CRC32 ]) {
+				const mock = new MockEEPROM()
+				await CyclicFS.format(mock, mock.byteLength)
+				const handle = await CyclicFS.init(mock, mock.byteLength, { stride: 16, checksum })
+
+				await CyclicFS.write(mock, handle, Uint8Array.from([ 1, 2, 3, 4 ]))
+
+				const newHandle = await CyclicFS.init(mock, mock.byteLength, { stride: 16, checksum })
+				assert.equal(newHandle.empty, false)
+				assert.equal(newHandle.version, 0)
+
+				const buffer = await CyclicFS.read(mock, newHandle)
+				assert.ok(buffer !== undefined)
+				const buffer8 = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+				assert.deepEqual([ ...buffer8.subarray(0, 4) ], [ 1, 2, 3, 4 ])
+			}
+		})
+
+		it('should reduce usable data by checksum size', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const handle = await CyclicFS.init(mock, mock.byteLength, { stride: 8, checksum: CHECKSUM_CRC16 })
+
+			await assert.rejects(async () => {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ 1, 2, 3, 4 ]))
+			})
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1, 2 ]))
+			const buffer = await CyclicFS.read(mock, handle)
+			assert.equal(buffer.byteLength, 8 - HEADER_SIZE - 2)
+		})
+
+		it('should init to last intact slot after torn write', async () => {
+			for(const fullScan of [ false, true ]) {
+				const mock = new MockEEPROM()
+				await CyclicFS.format(mock, mock.byteLength)
+				const options = { stride: 8, checksum: CHECKSUM_CRC8, fullScan }
+				const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+				await CyclicFS.write(mock, handle, Uint8Array.from([ 1, 2, 3 ]))
+				await CyclicFS.write(mock, handle, Uint8Array.from([ 4, 5, 6 ]))
+				await CyclicFS.write(mock, handle, Uint8Array.from([ 7, 8, 9 ]))
+
+				// header landed, data did not
+				mock.u8[16 + HEADER_SIZE + 1] ^= 0xFF
+
+				const newHandle = await CyclicFS.init(mock, mock.byteLength, options)
+				assert.equal(newHandle.empty, false)
+				assert.equal(newHandle.offset, 8)
+				assert.equal(newHandle.version, 1)
+
+				const buffer = await CyclicFS.read(mock, newHandle)
+				assert.deepEqual([ ...buffer.subarray(0, 3) ], [ 4, 5, 6 ])
+			}
+		})
+
+		it('should init empty if only slot is torn', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const options = { stride: 16, checksum: CHECKSUM_CRC32 }
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1 ]))
+			mock.u8[HEADER_SIZE + 4] ^= 0x01
+
+			const newHandle = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.equal(newHandle.empty, true)
+		})
+
+		it('should read fall back to last intact slot', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const handle = await CyclicFS.init(mock, mock.byteLength, { stride: 8, checksum: CHECKSUM_CRC8 })
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1, 2, 3 ]))
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 4, 5, 6 ]))
+
+			mock.u8[8 + HEADER_SIZE + 1] ^= 0xFF
+
+			const buffer = await CyclicFS.read(mock, handle)
+			assert.deepEqual([ ...buffer.subarray(0, 3) ], [ 1, 2, 3 ])
+		})
+
+		it('should skip corrupted slots when listing', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const handle = await CyclicFS.init(mock, mock.byteLength, { stride: 8, checksum: CHECKSUM_CRC16 })
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1 ]))
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 2 ]))
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 3 ]))
+
+			mock.u8[8 + HEADER_SIZE + 2] ^= 0xFF
+
+			const ary = await Array.fromAsync(CyclicFS.list(mock, handle))
+			assert.deepEqual(ary.map(slot => slot.version), [ 2, 0 ])
+
+			const slots = await Array.fromAsync(CyclicFS.listSlots(mock, handle))
+			assert.deepEqual(slots.slice(0, 3).map(slot => slot.valid), [ true, false, true ])
+		})
+	})
+
+	describe('version roll over', () => {
+		it('should never issue the erased marker', () => {
+			assert.equal(incrementVersion(0), 1)
+			assert.equal(incrementVersion(HEADER_INIT_VALUE32 - 2), HEADER_INIT_VALUE32 - 1)
+			assert.equal(incrementVersion(HEADER_INIT_VALUE32 - 1), 0)
+		})
+
+		it('should compare across roll over', () => {
+			assert.ok(compareVersion(1, 0) > 0)
+			assert.ok(compareVersion(0, 1) < 0)
+			assert.equal(compareVersion(7, 7), 0)
+			assert.ok(compareVersion(0, HEADER_INIT_VALUE32 - 1) > 0)
+			assert.ok(compareVersion(3, HEADER_INIT_VALUE32 - 3) > 0)
+			assert.ok(compareVersion(HEADER_INIT_VALUE32 - 3, 3) < 0)
+		})
+
+		it('should write and re-init across roll over', async () => {
+			for(const fullScan of [ false, true ]) {
+				for(let count = 1; count <= 12; count += 1) {
+					const mock = new MockEEPROM()
+					await CyclicFS.format(mock, mock.byteLength)
+					const options = { stride: 8, fullScan }
+					const handle = await CyclicFS.init(mock, mock.byteLength, options)
+					handle.version = HEADER_INIT_VALUE32 - 5
+
+					for(let i = 0; i < count; i += 1) {
+						await CyclicFS.write(mock, handle, Uint32Array.from([ i ]))
+					}
+
+					const newHandle = await CyclicFS.init(mock, mock.byteLength, options)
+					assert.equal(newHandle.empty, false)
+					assert.equal(newHandle.offset, handle.offset, `count ${count}`)
+					assert.equal(newHandle.version, handle.version, `count ${count}`)
+				}
+			}
+		})
+
+		it('should list in order across roll over', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const handle = await CyclicFS.init(mock, mock.byteLength, { stride: 16 })
+			handle.version = HEADER_INIT_VALUE32 - 3
+
+			for(let i = 0; i < 6; i += 1) {
+				await CyclicFS.write(mock, handle, Uint32Array.from([ i ]))
+			}
+
+			assert.equal(handle.version, 2)
+
+			const ary = await Array.fromAsync(CyclicFS.list(mock, handle))
+			assert.deepEqual(ary.map(slot => slot.version), [ 2, 1, 0, HEADER_INIT_VALUE32 - 1 ])
+		})
+	})
+
+	describe('storeLength', () => {
+		it('should read exactly the written bytes', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const handle = await CyclicFS.init(mock, mock.byteLength, { stride: 16, storeLength: true })
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1, 2, 3 ]))
+			const buffer = await CyclicFS.read(mock, handle)
+			assert.deepEqual([ ...buffer ], [ 1, 2, 3 ])
+
+			await CyclicFS.write(mock, handle, new Uint8Array(0))
+			const empty = await CyclicFS.read(mock, handle)
+			assert.equal(empty.byteLength, 0)
+		})
+
+		it('should reduce usable data by length size', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const handle = await CyclicFS.init(mock, mock.byteLength, { stride: 8, storeLength: true })
+
+			await assert.rejects(async () => {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ 1, 2, 3 ]))
+			})
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1, 2 ]))
+			const buffer = await CyclicFS.read(mock, handle)
+			assert.deepEqual([ ...buffer ], [ 1, 2 ])
+		})
+
+		it('should list and listSlots exact bytes', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const options = { stride: 16, storeLength: true, checksum: CHECKSUM_CRC16, littleEndian: true }
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1 ]))
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 2, 3 ]))
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 4, 5, 6 ]))
+
+			const newHandle = await CyclicFS.init(mock, mock.byteLength, options)
+			const ary = await Array.fromAsync(CyclicFS.list(mock, newHandle))
+			assert.deepEqual(ary.map(slot => [ ...slot.data ]), [ [ 4, 5, 6 ], [ 2, 3 ], [ 1 ] ])
+
+			const slots = await Array.fromAsync(CyclicFS.listSlots(mock, newHandle))
+			assert.deepEqual(slots.slice(0, 3).map(slot => [ ...slot.data ]), [ [ 1 ], [ 2, 3 ], [ 4, 5, 6 ] ])
+			assert.equal(slots[3].valid, false)
+		})
+
+		it('should treat out of range length as invalid', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const options = { stride: 8, storeLength: true }
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1 ]))
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 2 ]))
+
+			// torn length field
+			mock.u8[8 + HEADER_SIZE] = 0x80
+
+			const newHandle = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.equal(newHandle.offset, 0)
+			assert.equal(newHandle.version, 0)
+		})
+
+		it('should keep default layout compatible', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const handle = await CyclicFS.init(mock, mock.byteLength, { stride: 8 })
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1, 2, 3, 4 ]))
+			assert.deepEqual([ ...mock.u8.subarray(0, 8) ], [ 0, 0, 0, 0, 1, 2, 3, 4 ])
+		})
+	})
+
+	describe('span', () => {
+		it('should write and read record spanning slots', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const options = { stride: 16, span: true, storeLength: true }
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1 ]))
+			const source = Uint8Array.from({ length: 20 }, (_, i) => i)
+			await CyclicFS.write(mock, handle, source)
+
+			// 8 bytes usable per slot (+1 for the single segment record)
+			assert.equal(handle.version, 3)
+			assert.equal(handle.offset, 48)
+
+			const buffer = await CyclicFS.read(mock, handle)
+			assert.deepEqual([ ...buffer ], [ ...source ])
+
+			const newHandle = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.equal(newHandle.version, 3)
+			assert.equal(newHandle.offset, 48)
+		})
+
+		it('should wrap record around the ring', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const options = { stride: 16, span: true }
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 9 ]))
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 9 ]))
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 9 ]))
+
+			const source = Uint8Array.from({ length: 20 }, (_, i) => i)
+			await CyclicFS.write(mock, handle, source)
+
+			assert.equal(handle.offset, 0)
+
+			const buffer = await CyclicFS.read(mock, handle)
+			assert.equal(buffer.byteLength, 20)
+			assert.deepEqual([ ...buffer ], [ ...source ])
+
+			const ary = await Array.fromAsync(CyclicFS.list(mock, handle))
+			assert.deepEqual(ary.map(slot => slot.version), [ 4, 2, 1 ])
+			assert.equal(ary[0].data.byteLength, 20)
+		})
+
+		it('should init to head of last complete record after torn write', async () => {
+			for(const fullScan of [ false, true ]) {
+				const mock = new MockEEPROM()
+				await CyclicFS.format(mock, mock.byteLength)
+				const options = { stride: 16, span: true, storeLength: true, fullScan }
+				const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+				const source = Uint8Array.from({ length: 10 }, (_, i) => i)
+				await CyclicFS.write(mock, handle, source)
+				assert.equal(handle.offset, 16)
+
+				// power lost after first segment
+				const torn = { ...handle }
+				await CyclicFS.write(mock, torn, new Uint8Array(10))
+				mock.u8.fill(0xFF, 48, 64)
+
+				const newHandle = await CyclicFS.init(mock, mock.byteLength, options)
+				assert.equal(newHandle.offset, 16)
+				assert.equal(newHandle.version, 1)
+
+				const buffer = await CyclicFS.read(mock, newHandle)
+				assert.deepEqual([ ...buffer ], [ ...source ])
+			}
+		})
+
+		it('should write after a torn write', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const options = { stride: 16, span: true }
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1 ]))
+
+			// power lost after the first of two segments
+			await CyclicFS.write(mock, { ...handle }, new Uint8Array(20).fill(2))
+			mock.u8.fill(0xFF, 32, 48)
+
+			const newHandle = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.equal(newHandle.version, 0)
+			assert.equal(await CyclicFS.isStale(mock, newHandle), false)
+
+			await CyclicFS.write(mock, newHandle, Uint8Array.from([ 3 ]))
+			assert.equal((await CyclicFS.read(mock, newHandle))[0], 3)
+
+			const reopened = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.equal(reopened.version, newHandle.version)
+			assert.equal(reopened.offset, 16)
+		})
+
+		it('should detect a complete spanning record of another writer', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const options = { stride: 16, span: true }
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1 ]))
+
+			await CyclicFS.write(mock, { ...handle }, new Uint8Array(20).fill(2))
+			assert.equal(await CyclicFS.isStale(mock, handle), true)
+		})
+
+		it('should keep previous record when torn write wraps onto it', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const options = { stride: 16, span: true, checksum: CHECKSUM_CRC16 }
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.equal(CyclicFS.maxRecordLength(handle), 2 * 8)
+
+			await CyclicFS.write(mock, handle, new Uint8Array(16).fill(1))
+			const previous = new Uint8Array(16).fill(2)
+			await CyclicFS.write(mock, handle, previous)
+
+			// would overwrite the first segment of the previous record
+			await assert.rejects(async () => await CyclicFS.write(mock, handle, new Uint8Array(24)), /larger then span/)
+
+			// power lost during the second segment (wrapping the ring)
+			await CyclicFS.write(mock, { ...handle }, new Uint8Array(16).fill(3))
+			mock.u8[31] ^= 0xFF
+
+			const newHandle = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.equal(newHandle.empty, false)
+			assert.equal(newHandle.offset, 48)
+			assert.equal(newHandle.version, 3)
+			assert.deepEqual([ ...await CyclicFS.read(mock, newHandle) ], [ ...previous ])
+		})
+
+		it('should reject record larger then ring', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const handle = await CyclicFS.init(mock, mock.byteLength, { stride: 16, span: true })
+
+			await assert.rejects(async () => {
+				await CyclicFS.write(mock, handle, new Uint8Array(4 * 10))
+			})
+
+			await CyclicFS.write(mock, handle, new Uint8Array(3 * 10))
+		})
+
+		it('should list segments in listSlots', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			const handle = await CyclicFS.init(mock, mock.byteLength, { stride: 16, span: true })
+
+			await CyclicFS.write(mock, handle, new Uint8Array(15))
+
+			const slots = await Array.fromAsync(CyclicFS.listSlots(mock, handle))
+			assert.deepEqual(slots.slice(0, 2).map(({ segment, segmentCount }) => [ segment, segmentCount ]), [ [ 0, 2 ], [ 1, 2 ] ])
+		})
+	})
+
+	describe('superblock', () => {
+		it('should mount formatted partition', async () => {
+			const mock = new MockEEPROM()
+			const options = { baseAddress: 16, stride: 8, littleEndian: true, checksum: CHECKSUM_CRC8, storeLength: true, superblock: true }
+			await CyclicFS.format(mock, mock.byteLength - 16, options)
+
+			const superblock = await CyclicFS.readSuperblock(mock, 16)
+			assert.deepEqual(superblock, {
+				layoutVersion: 1,
+				byteLength: mock.byteLength - 16,
+				stride: 8,
+				littleEndian: true,
+				checksum: CHECKSUM_CRC8,
+				storeLength: true,
+				span: false,
+				erasedValue: 0xFF,
+				lazy: false,
+				flash: false,
+				sectorSize: 0,
+				verify: false,
+				crypto: 'none',
+				versionWidth: 32
+			})
+
+			const handle = await CyclicFS.mount(mock, 16)
+			assert.equal(handle.empty, true)
+			assert.equal(handle.stride, 8)
+			assert.equal(handle.littleEndian, true)
+			assert.equal(handle.byteLength, mock.byteLength - 16)
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 42 ]))
+
+			const newHandle = await CyclicFS.mount(mock, 16)
+			assert.equal(newHandle.empty, false)
+			assert.equal(newHandle.offset, 0)
+			const buffer = await CyclicFS.read(mock, newHandle)
+			assert.deepEqual([ ...buffer ], [ 42 ])
+		})
+
+		it('should place slots after the superblock', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, { stride: 16, superblock: true })
+			const handle = await CyclicFS.mount(mock)
+
+			const slots = await Array.fromAsync(CyclicFS.listSlots(mock, handle))
+			assert.equal(slots.length, (mock.byteLength - SUPERBLOCK_SIZE) / 16)
+
+			for(let i = 0; i < 3; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			assert.equal(handle.offset, 0)
+			assert.equal(handle.version, 2)
+			assert.equal(mock.u8[SUPERBLOCK_SIZE + HEADER_SIZE], 2)
+
+			const superblock = await CyclicFS.readSuperblock(mock)
+			assert.ok(superblock !== undefined)
+		})
+
+		it('should reject mount without superblock', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength)
+			await assert.rejects(async () => await CyclicFS.mount(mock))
+		})
+
+		it('should reject init with miss-matched options', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, { stride: 16, superblock: true })
+
+			await assert.rejects(async () => await CyclicFS.init(mock, mock.byteLength, { stride: 8, superblock: true }))
+			await assert.rejects(async () => await CyclicFS.init(mock, mock.byteLength, { stride: 16, littleEndian: true, superblock: true }))
+
+			const handle = await CyclicFS.init(mock, mock.byteLength, { stride: 16, superblock: true })
+			assert.equal(handle.empty, true)
+		})
+
+		it('should ignore corrupted superblock', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, { superblock: true })
+			mock.u8[8] ^= 0x01
+
+			const superblock = await CyclicFS.readSuperblock(mock)
+			assert.equal(superblock, undefined)
+		})
+	})
+
+	describe('probe', () => {
+		it('should rank written configuration first', async () => {
+			for(const littleEndian of [ false, true ]) {
+				const mock = new MockEEPROM()
+				await CyclicFS.format(mock, mock.byteLength)
+				const handle = await CyclicFS.init(mock, mock.byteLength, { stride: 8, littleEndian })
+
+				for(let i = 0; i < 11; i += 1) {
+					await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+				}
+
+				const [ best ] = await CyclicFS.probe(mock, mock.byteLength)
+				assert.equal(best.baseAddress, 0)
+				assert.equal(best.byteLength, mock.byteLength)
+				assert.equal(best.stride, 8)
+				assert.equal(best.littleEndian, littleEndian)
+				assert.equal(best.score, 1)
+			}
+		})
+
+		it('should find a partition at an offset', async () => {
+			const mock = new MockEEPROM()
+			const options = { baseAddress: 32, stride: 8 }
+			await CyclicFS.format(mock, 32, options)
+			const handle = await CyclicFS.init(mock, 32, options)
+
+			for(let i = 0; i < 3; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			const [ best ] = await CyclicFS.probe(mock, mock.byteLength)
+			assert.equal(best.baseAddress, 32)
+			assert.equal(best.byteLength, 32)
+			assert.equal(best.stride, 8)
+		})
+
+		it('should not fit a larger partition around an offset partition', async () => {
+			const eeprom = new MemoryEEPROM(256)
+			const options = { baseAddress: 128, stride: 16 }
+			await CyclicFS.format(eeprom, 128, options)
+			const handle = await CyclicFS.init(eeprom, 128, options)
+
+			// more records then a half sized partition holds
+			for(let i = 0; i < 5; i += 1) {
+				await CyclicFS.write(eeprom, handle, Uint8Array.from([ i ]))
+			}
+
+			const candidates = await CyclicFS.probe(eeprom, eeprom.byteLength)
+			assert.ok(candidates.every(({ baseAddress }) => baseAddress !== 0))
+
+			const [ best ] = candidates
+			assert.equal(best.baseAddress, 128)
+			assert.equal(best.byteLength, 128)
+			assert.equal(best.stride, 16)
+
+			const probed = await CyclicFS.init(eeprom, best.byteLength, best)
+			assert.equal(probed.empty, false)
+			assert.equal(probed.version, 4)
+		})
+
+		it('should report superblock partition', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, { stride: 16, littleEndian: true, superblock: true })
+
+			const candidates = await CyclicFS.probe(mock, mock.byteLength)
+			assert.equal(candidates.length, 1)
+			assert.equal(candidates[0].superblock, true)
+			assert.equal(candidates[0].stride, 16)
+			assert.equal(candidates[0].littleEndian, true)
+		})
+
+		it('should return nothing for noise', async () => {
+			const mock = new MockEEPROM()
+			const candidates = await CyclicFS.probe(mock, mock.byteLength)
+			assert.deepEqual(candidates, [])
+		})
+	})
+
+	describe('pageSize', () => {
+		it('should format in page sized chunks', async () => {
+			const mock = new RecordingEEPROM()
+			await CyclicFS.format(mock, mock.byteLength - 4, { baseAddress: 4, pageSize: 16 })
+
+			assert.deepEqual(mock.writes, [
+				{ offset: 4, length: 12 },
+				{ offset: 16, length: 16 },
+				{ offset: 32, length: 16 },
+				{ offset: 48, length: 16 }
+			])
+			assert.equal(mock.u8[4], 0xFF)
+			assert.equal(mock.u8[63], 0xFF)
+		})
+
+		it('should limit transfer size', async () => {
+			const mock = new RecordingEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, { maxTransferSize: 24 })
+
+			assert.deepEqual(mock.writes.map(({ length }) => length), [ 24, 24, 16 ])
+		})
+
+		it('should split slot writes crossing a page', async () => {
+			const mock = new RecordingEEPROM()
+			const options = { baseAddress: 4, stride: 8, pageSize: 8, maxTransferSize: 3 }
+			await CyclicFS.format(mock, mock.byteLength - 4, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength - 4, options)
+
+			mock.writes = []
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1, 2, 3, 4 ]))
+
+			assert.deepEqual(mock.writes, [
+				{ offset: 4, length: 3 },
+				{ offset: 7, length: 1 },
+				{ offset: 8, length: 3 },
+				{ offset: 11, length: 1 }
+			])
+
+			const buffer = await CyclicFS.read(mock, handle)
+			assert.deepEqual([ ...buffer.subarray(0, 4) ], [ 1, 2, 3, 4 ])
+		})
+
+		it('should reject invalid page size', async () => {
+			const mock = new MockEEPROM()
+			await assert.rejects(async () => await CyclicFS.format(mock, mock.byteLength, { pageSize: 0 }))
+		})
+	})
+
+	describe('erasedValue', () => {
+		it('should format with erased value', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, { erasedValue: 0x00 })
+			assert.ok(mock.u8.every(value => value === 0x00))
+		})
+
+		it('should init empty and write from version 1', async () => {
+			const mock = new MockEEPROM()
+			const options = { stride: 8, erasedValue: 0x00 }
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			assert.equal(handle.empty, true)
+			assert.equal(handle.version, 1)
+
+			for(let i = 0; i < 3; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			for(const fullScan of [ false, true ]) {
+				const newHandle = await CyclicFS.init(mock, mock.byteLength, { ...options, fullScan })
+				assert.equal(newHandle.offset, 16)
+				assert.equal(newHandle.version, 3)
+			}
+
+			const ary = await Array.fromAsync(CyclicFS.list(mock, handle))
+			assert.deepEqual(ary.map(slot => slot.version), [ 3, 2, 1 ])
+		})
+
+		it('should skip erased marker on roll over', async () => {
+			const mock = new MockEEPROM()
+			const options = { stride: 8, erasedValue: 0x00 }
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+			handle.version = HEADER_INIT_VALUE32 - 1
+
+			for(let i = 0; i < 4; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			assert.equal(handle.version, 2)
+
+			const newHandle = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.equal(newHandle.offset, 24)
+			assert.equal(newHandle.version, 2)
+		})
+	})
+
+	describe('lazy', () => {
+		it('should only initialize first slot', async () => {
+			const mock = new MockEEPROM()
+			const before = mock.u8.slice()
+			await CyclicFS.format(mock, mock.byteLength, { stride: 8, lazy: true })
+
+			assert.ok(mock.u8.subarray(0, 8).every(value => value === 0xFF))
+			assert.deepEqual(mock.u8.subarray(8), before.subarray(8))
+		})
+
+		it('should invalidate next slot before first use', async () => {
+			const mock = new MockEEPROM()
+			const options = { stride: 8, lazy: true }
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.equal(handle.empty, true)
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1 ]))
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 2 ]))
+
+			assert.deepEqual([ ...mock.u8.subarray(16, 20) ], [ 0xFF, 0xFF, 0xFF, 0xFF ])
+
+			const newHandle = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.equal(newHandle.empty, false)
+			assert.equal(newHandle.offset, 8)
+			assert.equal(newHandle.version, 1)
+
+			const ary = await Array.fromAsync(CyclicFS.list(mock, newHandle))
+			assert.deepEqual(ary.map(slot => slot.version), [ 1, 0 ])
+		})
+
+		it('should not list un-initialized slots', async () => {
+			const mock = new MockEEPROM()
+			const options = { stride: 8, lazy: true }
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			for(let i = 0; i < 5; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			// left over from a previous use
+			mock.u8.set([ 0, 0, 0, 42 ], 56)
+
+			const newHandle = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.equal(newHandle.offset, 32)
+			assert.equal(newHandle.version, 4)
+
+			const ary = await Array.fromAsync(CyclicFS.list(mock, newHandle))
+			assert.deepEqual(ary.map(slot => slot.version), [ 4, 3, 2, 1, 0 ])
+		})
+
+		it('should wrap lazy ring', async () => {
+			const mock = new MockEEPROM()
+			const options = { stride: 8, lazy: true }
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			for(let i = 0; i < 11; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			const newHandle = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.equal(newHandle.offset, 16)
+			assert.equal(newHandle.version, 10)
+
+			const ary = await Array.fromAsync(CyclicFS.list(mock, newHandle))
+			assert.equal(ary.length, 8)
+		})
+
+		it('should mount lazy superblock partition', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, { stride: 8, lazy: true, erasedValue: 0x00, superblock: true })
+
+			const handle = await CyclicFS.mount(mock)
+			assert.equal(handle.lazy, true)
+			assert.equal(handle.erasedValue, 0x00)
+			assert.equal(handle.empty, true)
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1 ]))
+
+			const newHandle = await CyclicFS.mount(mock)
+			assert.equal(newHandle.empty, false)
+			assert.equal(newHandle.version, 1)
+		})
+	})
+
+	describe('flash', () => {
+		const options = { stride: 8, flash: true, sectorSize: 16 }
+
+		it('should format by erasing sectors', async () => {
+			const mock = new FlashMockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, options)
+
+			assert.deepEqual(mock.erases.map(({ offset }) => offset), [ 0, 16, 32, 48 ])
+			assert.ok(mock.u8.every(value => value === 0xFF))
+		})
+
+		it('should erase sector ahead of the ring', async () => {
+			const mock = new FlashMockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			mock.erases = []
+			for(let i = 0; i < 8; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+			// first pass, already erased
+			assert.deepEqual(mock.erases, [])
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 8 ]))
+			assert.deepEqual(mock.erases, [ { offset: 0, length: 16 } ])
+			assert.equal(mock.u8[8], 0xFF)
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 9 ]))
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 10 ]))
+			assert.deepEqual(mock.erases.map(({ offset }) => offset), [ 0, 16 ])
+
+			const buffer = await CyclicFS.read(mock, handle)
+			assert.equal(buffer[0], 10)
+
+			const ary = await Array.fromAsync(CyclicFS.list(mock, handle))
+			assert.deepEqual(ary.map(slot => slot.version), [ 10, 9, 8, 7, 6, 5, 4 ])
+		})
+
+		it('should init with freshly erased sectors in the ring', async () => {
+			for(let count = 1; count <= 20; count += 1) {
+				const mock = new FlashMockEEPROM()
+				await CyclicFS.format(mock, mock.byteLength, options)
+				const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+				for(let i = 0; i < count; i += 1) {
+					await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+				}
+
+				for(const fullScan of [ false, true ]) {
+					const newHandle = await CyclicFS.init(mock, mock.byteLength, { ...options, fullScan })
+					assert.equal(newHandle.offset, handle.offset, `count ${count}`)
+					assert.equal(newHandle.version, handle.version, `count ${count}`)
+				}
+			}
+		})
+
+		it('should init after erase ahead of first sector before write', async () => {
+			const mock = new FlashMockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			for(let i = 0; i < 8; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			// power lost between erase and write
+			await mock.erase(0, 16)
+
+			for(const fullScan of [ false, true ]) {
+				const newHandle = await CyclicFS.init(mock, mock.byteLength, { ...options, fullScan })
+				assert.equal(newHandle.empty, false)
+				assert.equal(newHandle.offset, 56)
+				assert.equal(newHandle.version, 7)
+
+				await CyclicFS.write(mock, newHandle, Uint8Array.from([ 42 ]))
+				assert.equal(newHandle.offset, 0)
+				assert.equal(newHandle.version, 8)
+				await mock.erase(0, 16)
+			}
+		})
+
+		it('should skip slot of torn write', async () => {
+			const checksummed = { ...options, checksum: CHECKSUM_CRC16 }
+
+			for(const [ fullScan, written ] of [ [ false, 6 ], [ true, 6 ], [ false, 2 ], [ true, 2 ] ]) {
+				const mock = new FlashMockEEPROM()
+				await CyclicFS.format(mock, mock.byteLength, checksummed)
+				const handle = await CyclicFS.init(mock, mock.byteLength, checksummed)
+
+				for(const value of [ 1, 2, 3 ]) {
+					await CyclicFS.write(mock, handle, Uint8Array.from([ value ]))
+				}
+
+				// power lost after the first bytes of the slot (part way through the "Version" for 2)
+				await CyclicFS.write(mock, { ...handle }, Uint8Array.from([ 4 ]))
+				mock.u8.fill(0xFF, 24 + written, 32)
+
+				const torn = await CyclicFS.init(mock, mock.byteLength, { ...checksummed, fullScan })
+				assert.equal(torn.offset, 16)
+				await CyclicFS.write(mock, torn, Uint8Array.from([ 5 ]))
+				assert.equal(torn.offset, 32)
+
+				const newHandle = await CyclicFS.init(mock, mock.byteLength, { ...checksummed, fullScan })
+				assert.equal(newHandle.offset, 32)
+				assert.equal(newHandle.version, torn.version)
+				assert.equal((await CyclicFS.read(mock, newHandle))[0], 5)
+
+				await CyclicFS.write(mock, newHandle, Uint8Array.from([ 6 ]))
+				const ary = await Array.fromAsync(CyclicFS.list(mock, newHandle))
+				assert.deepEqual(ary.map(({ data }) => data[0]), [ 6, 5, 3, 2, 1 ])
+			}
+		})
+
+		it('should keep previous spanning record out of the sector erased ahead', async () => {
+			const spanOptions = { stride: 16, flash: true, sectorSize: 64, span: true, storeLength: true, checksum: CHECKSUM_CRC16 }
+			const eeprom = new MemoryEEPROM(128)
+			await CyclicFS.format(eeprom, eeprom.byteLength, spanOptions)
+			const handle = await CyclicFS.init(eeprom, eeprom.byteLength, spanOptions)
+
+			// slots of 6 bytes capacity, two sectors of four slots
+			const maxLength = CyclicFS.maxRecordLength(handle)
+			assert.equal(maxLength, 2 * 6)
+
+			for(const value of [ 1, 2, 3 ]) {
+				await CyclicFS.write(eeprom, handle, Uint8Array.from([ value ]))
+			}
+			// previous record in slots 3 and 4
+			const previous = new Uint8Array(12).fill(4)
+			await CyclicFS.write(eeprom, handle, previous)
+			assert.equal(handle.offset, 64)
+
+			// slots 5, 6, 7 and 0, erasing the first sector (holding slot 3)
+			await assert.rejects(async () => await CyclicFS.write(eeprom, handle, new Uint8Array(24)), /larger then span/)
+			assert.deepEqual([ ...await CyclicFS.read(eeprom, handle) ], [ ...previous ])
+
+			for(const value of [ 5, 6, 7 ]) {
+				const record = new Uint8Array(maxLength).fill(value)
+				await CyclicFS.write(eeprom, handle, record)
+
+				const newHandle = await CyclicFS.init(eeprom, eeprom.byteLength, spanOptions)
+				assert.deepEqual([ ...await CyclicFS.read(eeprom, newHandle) ], [ ...record ])
+			}
+		})
+
+		it('should mount flash superblock partition', async () => {
+			const mock = new FlashMockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, { ...options, superblock: true })
+
+			const handle = await CyclicFS.mount(mock)
+			assert.equal(handle.flash, true)
+			assert.equal(handle.sectorSize, 16)
+
+			mock.erases = []
+			for(let i = 0; i < 7; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			// superblock (two sectors) is never erased by the ring
+			assert.deepEqual(mock.erases.map(({ offset }) => offset), [ 32, 48 ])
+			assert.ok((await CyclicFS.readSuperblock(mock)) !== undefined)
+
+			const newHandle = await CyclicFS.mount(mock)
+			assert.equal(newHandle.version, 6)
+			assert.equal(newHandle.offset, 16)
+		})
+
+		it('should reject invalid flash configuration', async () => {
+			await assert.rejects(async () => await CyclicFS.format(new MockEEPROM(), 64, options))
+			await assert.rejects(async () => await CyclicFS.format(new FlashMockEEPROM(), 16, options))
+			await assert.rejects(async () => await CyclicFS.format(new FlashMockEEPROM(), 64, { ...options, stride: 12 }))
+			await assert.rejects(async () => await CyclicFS.format(new FlashMockEEPROM(), 56, { ...options, baseAddress: 8 }))
+			await assert.rejects(async () => await CyclicFS.format(new FlashMockEEPROM(), 64, { ...options, lazy: true }))
+		})
+	})
+
+	describe('concurrent writes', () => {
+		const options = { stride: 8 }
+
+		it('should order concurrent writes on a handle', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			await Promise.all([ 1, 2, 3, 4, 5 ].map(value => CyclicFS.write(mock, handle, Uint8Array.from([ value ]))))
+			assert.equal(handle.version, 4)
+			assert.equal(handle.offset, 32)
+
+			const slots = []
+			for await (const { version, data } of CyclicFS.list(mock, handle)) { slots.push([ version, data[0] ]) }
+			assert.deepEqual(slots, [ [ 4, 5 ], [ 3, 4 ], [ 2, 3 ], [ 1, 2 ], [ 0, 1 ] ])
+		})
+
+		it('should continue queue after a failed write', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			const results = await Promise.allSettled([
+				CyclicFS.write(mock, handle, Uint8Array.from([ 1 ])),
+				CyclicFS.write(mock, handle, new Uint8Array(64)),
+				CyclicFS.write(mock, handle, Uint8Array.from([ 3 ]))
+			])
+			assert.deepEqual(results.map(({ status }) => status), [ 'fulfilled', 'rejected', 'fulfilled' ])
+			assert.equal(handle.version, 1)
+		})
+
+		it('should detect a stale handle', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handleA = await CyclicFS.init(mock, mock.byteLength, options)
+			const handleB = await CyclicFS.init(mock, mock.byteLength, options)
+
+			await CyclicFS.write(mock, handleA, Uint8Array.from([ 1 ]))
+			assert.equal(await CyclicFS.isStale(mock, handleA), false)
+			assert.equal(await CyclicFS.isStale(mock, handleB), true)
+			await assert.rejects(async () => await CyclicFS.write(mock, handleB, Uint8Array.from([ 2 ])), StaleHandleError)
+
+			await CyclicFS.write(mock, handleA, Uint8Array.from([ 3 ]))
+			await CyclicFS.refresh(mock, handleB)
+			assert.equal(handleB.version, 1)
+			assert.equal(await CyclicFS.isStale(mock, handleB), false)
+
+			await CyclicFS.write(mock, handleB, Uint8Array.from([ 4 ]))
+			assert.equal(handleB.version, 2)
+			assert.equal(await CyclicFS.isStale(mock, handleA), true)
+		})
+
+		it('should detect a stale handle after wrap', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handleA = await CyclicFS.init(mock, mock.byteLength, options)
+			await CyclicFS.write(mock, handleA, Uint8Array.from([ 0 ]))
+			const handleB = structuredClone(handleA)
+
+			for(let i = 1; i <= 8; i += 1) {
+				await CyclicFS.write(mock, handleA, Uint8Array.from([ i ]))
+			}
+
+			// slot of handle B has been re-used
+			assert.equal(await CyclicFS.isStale(mock, handleB), true)
+		})
+
+		it('should refresh stale handle on write when configured', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handleA = await CyclicFS.init(mock, mock.byteLength, options)
+			const handleB = await CyclicFS.init(mock, mock.byteLength, { ...options, refreshStale: true })
+
+			await CyclicFS.write(mock, handleA, Uint8Array.from([ 1 ]))
+			await CyclicFS.write(mock, handleA, Uint8Array.from([ 2 ]))
+			await CyclicFS.write(mock, handleB, Uint8Array.from([ 3 ]))
+
+			assert.equal(handleB.version, 2)
+			assert.equal(handleB.offset, 16)
+
+			const newHandle = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.deepEqual([ ...await CyclicFS.read(mock, newHandle) ].slice(0, 1), [ 3 ])
+		})
+
+		it('should not treat a torn next slot as stale', async () => {
+			const checksumOptions = { stride: 16, checksum: CHECKSUM_CRC8 }
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, checksumOptions)
+			const handle = await CyclicFS.init(mock, mock.byteLength, checksumOptions)
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1 ]))
+
+			// torn write of the following version
+			await mock.write(16, Uint8Array.from([ 0, 0, 0, 1, 0x55 ]))
+
+			const newHandle = await CyclicFS.init(mock, mock.byteLength, checksumOptions)
+			assert.equal(newHandle.version, 0)
+			assert.equal(await CyclicFS.isStale(mock, newHandle), false)
+			await CyclicFS.write(mock, newHandle, Uint8Array.from([ 2 ]))
+			assert.equal(newHandle.version, 1)
+		})
+	})
+
+	describe('verify', () => {
+		const options = { stride: 8, verify: true }
+
+		async function versions(mock, handle) {
+			const result = []
+			for await (const { version } of CyclicFS.list(mock, handle)) { result.push(version) }
+			return result
+		}
+
+		it('should write verified slots', async () => {
+			const mock = new WornEEPROM([])
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+			mock.writes = []
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1, 2, 3, 4 ]))
+			assert.deepEqual(mock.writes, [ { offset: 0, length: 8 } ])
+			assert.deepEqual([ ...await CyclicFS.read(mock, handle) ], [ 1, 2, 3, 4 ])
+		})
+
+		it('should retry then mark slot bad and move on', async () => {
+			const mock = new WornEEPROM([ 16 + 5 ])
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+			mock.writes = []
+
+			for(let i = 0; i < 5; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i, i, i, i ]))
+			}
+
+			// three attempts (two retries) then the bad marker
+			assert.deepEqual(mock.writes.filter(({ offset }) => offset === 16), [
+				{ offset: 16, length: 8 },
+				{ offset: 16, length: 8 },
+				{ offset: 16, length: 8 },
+				{ offset: 16, length: 4 }
+			])
+			assert.deepEqual([ ...mock.u8.subarray(16, 20) ], [ 0x7F, 0xFF, 0xFF, 0xFF ])
+
+			assert.equal(handle.version, 4)
+			assert.equal(handle.offset, 40)
+			assert.deepEqual(await versions(mock, handle), [ 4, 3, 2, 1, 0 ])
+
+			for(const fullScan of [ false, true ]) {
+				const newHandle = await CyclicFS.init(mock, mock.byteLength, { ...options, fullScan })
+				assert.equal(newHandle.version, 4)
+				assert.equal(newHandle.offset, 40)
+			}
+		})
+
+		it('should skip known bad slot across wrap', async () => {
+			const mock = new WornEEPROM([ 16 + 4 ])
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			for(let i = 0; i < 7; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			mock.writes = []
+			for(let i = 7; i < 12; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			// slot 2 is not re-tried
+			assert.deepEqual(mock.writes.map(({ offset }) => offset), [ 0, 8, 24, 32, 40 ])
+			assert.equal(handle.version, 11)
+			assert.deepEqual(await versions(mock, handle), [ 11, 10, 9, 8, 7, 6, 5 ])
+
+			for(const fullScan of [ false, true ]) {
+				const newHandle = await CyclicFS.init(mock, mock.byteLength, { ...options, fullScan })
+				assert.equal(newHandle.version, 11)
+				assert.equal(newHandle.offset, 40)
+			}
+		})
+
+		it('should search with bad first slot', async () => {
+			const mock = new WornEEPROM([ 4 ])
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			for(let i = 0; i < 10; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			assert.deepEqual(await versions(mock, handle), [ 9, 8, 7, 6, 5, 4, 3 ])
+		})
+
+		for(const worn of [ [ 4 ], [ 60 ], [ 12, 20 ], [ 4, 60 ], [ 28, 44, 52 ] ]) {
+			it(`should search with bad slots at ${worn}`, async () => {
+				const mock = new WornEEPROM(worn)
+				await CyclicFS.format(mock, mock.byteLength, options)
+				const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+				for(let i = 0; i < 20; i += 1) {
+					await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+
+					for(const fullScan of [ false, true ]) {
+						const newHandle = await CyclicFS.init(mock, mock.byteLength, { ...options, fullScan })
+						assert.equal(newHandle.version, handle.version)
+						assert.equal(newHandle.offset, handle.offset)
+					}
+				}
+			})
+		}
+
+		it('should skip bad marker version', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, options)
+			await mock.write(0, Uint8Array.from([ 0x7F, 0xFF, 0xFF, 0xFE ]))
+
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.equal(handle.version, 0x7F_FF_FF_FE)
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1 ]))
+			assert.equal(handle.version, 0x80_00_00_00)
+			assert.deepEqual(await versions(mock, handle), [ 0x80_00_00_00, 0x7F_FF_FF_FE ])
+		})
+
+		it('should reject when no usable slot', async () => {
+			const mock = new WornEEPROM([ 4, 12, 20, 28, 36, 44, 52, 60 ])
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			await assert.rejects(async () => await CyclicFS.write(mock, handle, Uint8Array.from([ 1 ])), { message: 'no usable slot' })
+			assert.equal((await CyclicFS.init(mock, mock.byteLength, options)).empty, true)
+		})
+
+		it('should record verify in superblock', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, { ...options, superblock: true })
+
+			assert.equal((await CyclicFS.readSuperblock(mock)).verify, true)
+			const handle = await CyclicFS.mount(mock)
+			assert.equal(handle.verify, true)
+		})
+	})
+
+	describe('stats', () => {
+		const options = { stride: 8 }
+
+		it('should report unused partition', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			assert.deepEqual(await CyclicFS.stats(mock, handle), {
+				slotCount: 8,
+				badSlots: 0,
+				totalWrites: 0,
+				lowerBound: false,
+				cycles: 0,
+				writesPerSlot: 0,
+				endurance: 1_000_000,
+				remainingPercent: 100,
+				secondsRemaining: undefined
+			})
+		})
+
+		it('should report wear', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			for(let i = 0; i < 20; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			const stats = await CyclicFS.stats(mock, handle, { endurance: 10, writeRate: 2 })
+			assert.equal(stats.totalWrites, 20)
+			assert.equal(stats.lowerBound, true)
+			assert.equal(stats.cycles, 2)
+			assert.equal(stats.writesPerSlot, 3)
+			assert.equal(stats.remainingPercent, 70)
+			// seven writes left on each of the eight slots, at two per second
+			assert.equal(stats.secondsRemaining, 28)
+
+			const worn = await CyclicFS.stats(mock, handle, { endurance: 2, writeRate: 0 })
+			assert.equal(worn.remainingPercent, 0)
+			assert.equal(worn.secondsRemaining, 0)
+
+			assert.equal((await CyclicFS.stats(mock, handle, { writeRate: 0 })).secondsRemaining, Infinity)
+		})
+
+		it('should count from first version of erased value', async () => {
+			const zeroOptions = { ...options, erasedValue: 0x00 }
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, zeroOptions)
+			const handle = await CyclicFS.init(mock, mock.byteLength, zeroOptions)
+
+			for(let i = 0; i < 3; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			assert.equal((await CyclicFS.stats(mock, handle)).totalWrites, 3)
+		})
+
+		it('should report lower bound once versions may have rolled over', async () => {
+			const narrowOptions = { ...options, versionWidth: 16 }
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, narrowOptions)
+			const handle = await CyclicFS.init(mock, mock.byteLength, narrowOptions)
+
+			for(let i = 0; i < 3; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			assert.equal((await CyclicFS.stats(mock, handle)).lowerBound, false)
+
+			// roll the versions over, leaving fewer versions then slots since format
+			while(handle.version !== 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ 42 ]))
+			}
+
+			const stats = await CyclicFS.stats(mock, handle)
+			assert.equal(stats.totalWrites, 2)
+			assert.equal(stats.lowerBound, true)
+		})
+
+		it('should exclude bad slots', async () => {
+			const verifyOptions = { ...options, verify: true }
+			const mock = new WornEEPROM([ 12 ])
+			await CyclicFS.format(mock, mock.byteLength, verifyOptions)
+			const handle = await CyclicFS.init(mock, mock.byteLength, verifyOptions)
+
+			for(let i = 0; i < 14; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			const stats = await CyclicFS.stats(mock, handle)
+			assert.equal(stats.badSlots, 1)
+			assert.equal(stats.totalWrites, 14)
+			assert.equal(stats.cycles, 2)
+			assert.equal(stats.writesPerSlot, 2)
+		})
+
+		it('should reject invalid endurance', async () => {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, options)
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+			await assert.rejects(async () => await CyclicFS.stats(mock, handle, { endurance: 0 }))
+		})
+	})
+
+	describe('history', () => {
+		const options = { stride: 8 }
+
+		async function setup(count, setupOptions = options, mock = new CountingEEPROM()) {
+			await CyclicFS.format(mock, mock.byteLength, setupOptions)
+			const handle = await CyclicFS.init(mock, mock.byteLength, setupOptions)
+			for(let i = 0; i < count; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i, i, i, i ]))
+			}
+			mock.reads = []
+			return { mock, handle }
+		}
+
+		async function collect(mock, handle, listOptions) {
+			const result = []
+			for await (const { version, data } of CyclicFS.list(mock, handle, listOptions)) {
+				assert.equal(data[0], version)
+				result.push(version)
+			}
+			return result
+		}
+
+		it('should read by version', async () => {
+			const { mock, handle } = await setup(12)
+
+			assert.deepEqual([ ...await CyclicFS.readVersion(mock, handle, 11) ], [ 11, 11, 11, 11 ])
+			mock.reads = []
+			assert.deepEqual([ ...await CyclicFS.readVersion(mock, handle, 5) ], [ 5, 5, 5, 5 ])
+			// header of the computed slot then the slot itself
+			assert.deepEqual(mock.reads, [ { offset: 40, length: 4 }, { offset: 40, length: 8 } ])
+
+			assert.equal(await CyclicFS.readVersion(mock, handle, 3), undefined)
+			assert.equal(await CyclicFS.readVersion(mock, handle, 12), undefined)
+		})
+
+		it('should read by version with skipped slots', async () => {
+			const verifyOptions = { ...options, verify: true }
+			const { mock, handle } = await setup(10, verifyOptions, new WornEEPROM([ 20, 44 ]))
+
+			for(const version of [ 4, 5, 6, 7, 8, 9 ]) {
+				assert.deepEqual([ ...await CyclicFS.readVersion(mock, handle, version) ], [ version, version, version, version ])
+			}
+			assert.equal(await CyclicFS.readVersion(mock, handle, 3), undefined)
+		})
+
+		it('should read previous', async () => {
+			const { mock, handle } = await setup(12)
+
+			assert.deepEqual([ ...await CyclicFS.readPrevious(mock, handle, 0) ], [ 11, 11, 11, 11 ])
+			assert.deepEqual([ ...await CyclicFS.readPrevious(mock, handle) ], [ 10, 10, 10, 10 ])
+
+			mock.reads = []
+			assert.deepEqual([ ...await CyclicFS.readPrevious(mock, handle, 2) ], [ 9, 9, 9, 9 ])
+			assert.equal(mock.reads.length, 3)
+
+			assert.deepEqual([ ...await CyclicFS.readPrevious(mock, handle, 7) ], [ 4, 4, 4, 4 ])
+			assert.equal(await CyclicFS.readPrevious(mock, handle, 8), undefined)
+			await assert.rejects(async () => await CyclicFS.readPrevious(mock, handle, -1))
+		})
+
+		it('should list oldest first', async () => {
+			assert.deepEqual(await collect(...Object.values(await setup(5)), { order: 'oldest-first' }), [ 0, 1, 2, 3, 4 ])
+			assert.deepEqual(await collect(...Object.values(await setup(12)), { order: 'oldest-first' }), [ 4, 5, 6, 7, 8, 9, 10, 11 ])
+			assert.deepEqual(await collect(...Object.values(await setup(0)), { order: 'oldest-first' }), [])
+		})
+
+		it('should list with limit', async () => {
+			const { mock, handle } = await setup(12)
+
+			assert.deepEqual(await collect(mock, handle, { limit: 3 }), [ 11, 10, 9 ])
+			assert.equal(mock.reads.length, 3)
+
+			mock.reads = []
+			assert.deepEqual(await collect(mock, handle, { order: 'oldest-first', limit: 2 }), [ 4, 5 ])
+			assert.equal(mock.reads.length, 2)
+
+			assert.deepEqual(await collect(mock, handle, { limit: 0 }), [])
+		})
+
+		it('should list version range', async () => {
+			const { mock, handle } = await setup(12)
+
+			assert.deepEqual(await collect(mock, handle, { fromVersion: 6, toVersion: 9 }), [ 9, 8, 7, 6 ])
+			// seek header, four slots and the (older) slot ending the range
+			assert.equal(mock.reads.length, 6)
+
+			mock.reads = []
+			assert.deepEqual(await collect(mock, handle, { order: 'oldest-first', fromVersion: 6, toVersion: 9 }), [ 6, 7, 8, 9 ])
+			assert.equal(mock.reads.length, 6)
+
+			assert.deepEqual(await collect(mock, handle, { fromVersion: 10 }), [ 11, 10 ])
+			assert.deepEqual(await collect(mock, handle, { toVersion: 5 }), [ 5, 4 ])
+			assert.deepEqual(await collect(mock, handle, { order: 'oldest-first', fromVersion: 0, toVersion: 5 }), [ 4, 5 ])
+			assert.deepEqual(await collect(mock, handle, { toVersion: 20 }), [ 11, 10, 9, 8, 7, 6, 5, 4 ])
+		})
+
+		it('should list oldest first across roll over', async () => {
+			const mock = new CountingEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, options)
+			await mock.write(0, Uint8Array.from([ 0xFF, 0xFF, 0xFF, 0xFD, 0xFD ]))
+			const handle = await CyclicFS.init(mock, mock.byteLength, options)
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 0xFE ]))
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 0x00 ]))
+
+			const versions = []
+			for await (const { version } of CyclicFS.list(mock, handle, { order: 'oldest-first' })) { versions.push(version) }
+			assert.deepEqual(versions, [ 0xFF_FF_FF_FD, 0xFF_FF_FF_FE, 0 ])
+		})
+
+		it('should list spanning records oldest first', async () => {
+			const spanOptions = { stride: 16, span: true, storeLength: true }
+			const mock = new CountingEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, spanOptions)
+			const handle = await CyclicFS.init(mock, mock.byteLength, spanOptions)
+
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 1 ]))
+			await CyclicFS.write(mock, handle, Uint8Array.from({ length: 12 }, (_, i) => i))
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 2 ]))
+			await CyclicFS.write(mock, handle, Uint8Array.from([ 3 ]))
+
+			const newest = []
+			for await (const { version, data } of CyclicFS.list(mock, handle)) { newest.push([ version, data.byteLength ]) }
+			const oldest = []
+			for await (const { version, data } of CyclicFS.list(mock, handle, { order: 'oldest-first' })) { oldest.push([ version, data.byteLength ]) }
+
+			// the first record has been overwritten by the wrap
+			assert.deepEqual(newest, [ [ 4, 1 ], [ 3, 1 ], [ 2, 12 ] ])
+			assert.deepEqual(oldest, newest.toReversed())
+		})
+
+		it('should reject unknown order', async () => {
+			const { mock, handle } = await setup(2)
+			await assert.rejects(async () => await collect(mock, handle, { order: 'sideways' }))
+		})
+	})
+
+	describe('check', () => {
+		const options = { stride: 8 }
+
+		function setVersions(mock, versions) {
+			const dv = new DataView(mock.u8.buffer)
+			versions.forEach((version, index) => dv.setUint32(index * options.stride, version, false))
+		}
+
+		async function setup(count, extraOptions) {
+			const mock = new MockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, { ...options, ...extraOptions })
+			const handle = await CyclicFS.init(mock, mock.byteLength, { ...options, ...extraOptions })
+			for(let i = 0; i < count; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+			return { mock, handle }
+		}
+
+		it('should pass a well formed ring', async () => {
+			const { mock, handle } = await setup(20)
+
+			const report = await CyclicFS.check(mock, handle)
+			assert.equal(report.ok, true)
+			assert.deepEqual(report.problems, [])
+			assert.deepEqual(report.head, { version: 19, offset: 24, empty: false })
+			assert.equal(report.written, 8)
+			assert.equal(report.empty, 0)
+		})
+
+		it('should pass an empty and a partially written ring', async () => {
+			const empty = await setup(0)
+			const emptyReport = await CyclicFS.check(empty.mock, empty.handle)
+			assert.equal(emptyReport.ok, true)
+			assert.equal(emptyReport.head.empty, true)
+
+			const partial = await setup(3)
+			const partialReport = await CyclicFS.check(partial.mock, partial.handle)
+			assert.equal(partialReport.ok, true)
+			assert.equal(partialReport.written, 3)
+			assert.equal(partialReport.empty, 5)
+		})
+
+		it('should report a garbage header and search miss-match', async () => {
+			const { mock, handle } = await setup(20)
+			setVersions(mock, [ 16, 17, 18, 19, 12, 1000, 14, 15 ])
+
+			const report = await CyclicFS.check(mock, handle)
+			assert.equal(report.ok, false)
+			assert.deepEqual(report.head, { version: 19, offset: 24, empty: false })
+			assert.deepEqual(report.problems, [
+				{ type: 'non-monotonic', offset: 40, version: 1000, expected: 13 },
+				{ type: 'search-mismatch', offset: 24, version: 19, expected: 1000 }
+			])
+		})
+
+		it('should report duplicate versions', async () => {
+			const { mock, handle } = await setup(20)
+			setVersions(mock, [ 16, 17, 18, 19, 12, 17, 14, 15 ])
+
+			const report = await CyclicFS.check(mock, handle)
+			assert.deepEqual(report.problems, [
+				{ type: 'duplicate', offset: 40, version: 17, expected: 13 }
+			])
+		})
+
+		it('should report gaps', async () => {
+			const { mock, handle } = await setup(0)
+			setVersions(mock, [ 0, 1, 2, 6, 7, 8 ])
+
+			const report = await CyclicFS.check(mock, handle)
+			assert.deepEqual(report.head, { version: 8, offset: 40, empty: false })
+			assert.deepEqual(report.problems, [
+				{ type: 'gap', offset: 16, version: 2, expected: 5 }
+			])
+		})
+
+		it('should report stray empty slots', async () => {
+			const { mock, handle } = await setup(0)
+			setVersions(mock, [ 0, 1, HEADER_INIT_VALUE32, 3, 4 ])
+
+			const report = await CyclicFS.check(mock, handle)
+			assert.deepEqual(report.problems, [
+				{ type: 'stray-empty', offset: 16, version: HEADER_INIT_VALUE32, expected: 2 },
+				{ type: 'search-mismatch', offset: 32, version: 4, expected: 1 }
+			])
+		})
+
+		it('should report invalid slots', async () => {
+			const { mock, handle } = await setup(3, { checksum: CHECKSUM_CRC8 })
+			mock.u8[8 + HEADER_SIZE + 1] ^= 0xFF
+
+			const report = await CyclicFS.check(mock, handle)
+			assert.deepEqual(report.problems, [
+				{ type: 'invalid', offset: 8, version: 1, expected: 1 }
+			])
+		})
+
+		it('should repair', async () => {
+			const { mock, handle } = await setup(20)
+			setVersions(mock, [ 16, 17, 18, 19, 12, 1000, 14, 15 ])
+
+			const report = await CyclicFS.check(mock, { ...handle, repair: true })
+			assert.equal(report.repaired, 1)
+
+			const repaired = await CyclicFS.check(mock, handle)
+			assert.equal(repaired.ok, true)
+
+			const remounted = await CyclicFS.init(mock, mock.byteLength, options)
+			assert.equal(remounted.version, 19)
+			const [ latest ] = await CyclicFS.read(mock, remounted)
+			assert.equal(latest, 19)
+		})
+
+		it('should keep the payload when repairing without validation', async () => {
+			const { mock, handle } = await setup(5)
+			setVersions(mock, [ 0, 1, 1000 ])
+			const payload = [ ...mock.u8.subarray(16 + HEADER_SIZE, 24) ]
+
+			const report = await CyclicFS.check(mock, { ...handle, repair: true })
+			assert.deepEqual(report.problems[0], { type: 'non-monotonic', offset: 16, version: 1000, expected: 2 })
+			assert.equal(report.repaired, 1)
+
+			assert.deepEqual([ ...mock.u8.subarray(16 + HEADER_SIZE, 24) ], payload)
+			const data = await CyclicFS.readVersion(mock, handle, 2)
+			assert.deepEqual([ ...data ], payload)
+			assert.equal(data[0], 2)
+		})
+
+		it('should repair into invalid slots', async () => {
+			const checksumOptions = { checksum: CHECKSUM_CRC8, storeLength: true }
+			const { mock, handle } = await setup(5, checksumOptions)
+			setVersions(mock, [ 0, 1, HEADER_INIT_VALUE32 ])
+
+			const report = await CyclicFS.check(mock, { ...handle, repair: true })
+			assert.equal(report.repaired, 1)
+
+			const repaired = await CyclicFS.check(mock, handle)
+			assert.deepEqual(repaired.problems, [
+				{ type: 'invalid', offset: 16, version: 2, expected: 2 }
+			])
+		})
+
+		it('should skip bad slots', async () => {
+			const verifyOptions = { ...options, verify: true }
+			const mock = new WornEEPROM([ 20 ])
+			await CyclicFS.format(mock, mock.byteLength, verifyOptions)
+			const handle = await CyclicFS.init(mock, mock.byteLength, verifyOptions)
+			for(let i = 0; i < 12; i += 1) {
+				await CyclicFS.write(mock, handle, Uint8Array.from([ i ]))
+			}
+
+			const report = await CyclicFS.check(mock, handle)
+			assert.equal(report.ok, true)
+			assert.equal(report.badSlots, 1)
+		})
+
+		it('should ignore un-initialized slots of a lazy ring', async () => {
+			const { mock, handle } = await setup(3, { lazy: true })
+
+			const report = await CyclicFS.check(mock, handle)
+			assert.equal(report.ok, true)
+			assert.equal(report.written, 3)
+		})
+
+		it('should reject repair for flash', async () => {
+			const flashOptions = { stride: 8, flash: true, sectorSize: 16 }
+			const mock = new FlashMockEEPROM()
+			await CyclicFS.format(mock, mock.byteLength, flashOptions)
+			const handle = await CyclicFS.init(mock, mock.byteLength, flashOptions)
+			await assert.rejects(async () => await CyclicFS.check(mock, { ...handle, repair: true }))
+		})
+	})
+
+	describe('migrate', () => {
+		const source = { baseAddress: 0, stride: 8 }
+
+		class FailingEEPROM extends MemoryEEPROM {
+			writesLeft = Infinity
+
+			async write(offset, buffer) {
+				if(this.writesLeft <= 0) { throw new Error('power loss') }
+				this.writesLeft -= 1
+				return super.write(offset, buffer)
+			}
+		}
+
+		async function setup(count, sourceOptions = source) {
+			const eeprom = new FailingEEPROM(512)
+			await CyclicFS.format(eeprom, 128, sourceOptions)
+			const handle = await CyclicFS.init(eeprom, 128, sourceOptions)
+			for(let i = 0; i < count; i += 1) {
+				await CyclicFS.write(eeprom, handle, Uint8Array.from([ i, i + 1 ]))
+			}
+			return { eeprom, handle }
+		}
+
+		async function collect(eeprom, handle) {
+			const records = []
+			for await (const { data } of CyclicFS.list(eeprom, handle)) { records.push([ ...data ]) }
+			return records
+		}
+
+		it('should copy the newest records to a larger stride', async () => {
+			const { eeprom, handle } = await setup(20)
+
+			const target = await CyclicFS.migrate(eeprom, handle, { baseAddress: 128, byteLength: 256, stride: 16, storeLength: true, count: 3 })
+			assert.equal(target.stride, 16)
+			assert.deepEqual(await collect(eeprom, target), [
+				[ 19, 20, 0xFF, 0xFF ],
+				[ 18, 19, 0xFF, 0xFF ],
+				[ 17, 18, 0xFF, 0xFF ]
+			])
+
+			// source untouched
+			assert.deepEqual([ ...await CyclicFS.read(eeprom, handle) ], [ 19, 20, 0xFF, 0xFF ])
+		})
+
+		it('should truncate to a smaller stride', async () => {
+			const wide = { baseAddress: 0, stride: 16, storeLength: true }
+			const eeprom = new MemoryEEPROM(512)
+			await CyclicFS.format(eeprom, 128, wide)
+			const handle = await CyclicFS.init(eeprom, 128, wide)
+			await CyclicFS.write(eeprom, handle, Uint8Array.from([ 1, 2, 3, 4, 5, 6, 7, 8 ]))
+
+			const target = await CyclicFS.migrate(eeprom, handle, { baseAddress: 128, byteLength: 64, stride: 8 })
+			assert.deepEqual(await collect(eeprom, target), [ [ 1, 2, 3, 4 ] ])
+		})
+
+		it('should copy all records by default', async () => {
+			const { eeprom, handle } = await setup(5)
+
+			const target = await CyclicFS.migrate(eeprom, handle, { baseAddress: 256, byteLength: 128, stride: 8 })
+			assert.equal((await collect(eeprom, target)).length, 5)
+		})
+
+		it('should write the superblock last', async () => {
+			const { eeprom, handle } = await setup(10)
+			const targetOptions = { baseAddress: 128, byteLength: 256, stride: 16, superblock: true }
+
+			// a previous (stale) partition at the target
+			await CyclicFS.format(eeprom, 256, targetOptions)
+			assert.ok(await CyclicFS.readSuperblock(eeprom, 128) !== undefined)
+
+			eeprom.writesLeft = 3
+			await assert.rejects(async () => await CyclicFS.migrate(eeprom, handle, targetOptions), /power loss/)
+			assert.equal(await CyclicFS.readSuperblock(eeprom, 128), undefined)
+			assert.deepEqual([ ...await CyclicFS.read(eeprom, handle) ], [ 9, 10, 0xFF, 0xFF ])
+
+			eeprom.writesLeft = Infinity
+			await CyclicFS.migrate(eeprom, handle, targetOptions)
+			const mounted = await CyclicFS.mount(eeprom, 128)
+			assert.equal((await collect(eeprom, mounted)).length, 10)
+			assert.deepEqual((await collect(eeprom, mounted))[0], [ 9, 10, ...new Array(10).fill(0xFF) ])
+		})
+
+		it('should reject overlapping target', async () => {
+			const { eeprom, handle } = await setup(2)
+			await assert.rejects(async () => await CyclicFS.migrate(eeprom, handle, { baseAddress: 64, byteLength: 128, stride: 16 }), /overlaps/)
+		})
+
+		it('should reject invalid count', async () => {
+			const { eeprom, handle } = await setup(2)
+			await assert.rejects(async () => await CyclicFS.migrate(eeprom, handle, { baseAddress: 128, byteLength: 128, count: 0 }))
+		})
+	})
+
+	describe('export', () => {
+		const options = { stride: 8, littleEndian: true }
+
+		async function setup(count, sourceOptions = options) {
+			const eeprom = new MemoryEEPROM(128)
+			await CyclicFS.format(eeprom, 64, sourceOptions)
+			const handle = await CyclicFS.init(eeprom, 64, sourceOptions)
+			for(let i = 0; i < count; i += 1) {
+				await CyclicFS.write(eeprom, handle, Uint8Array.from([ i, 0xA0 + i ]))
+			}
+			return { eeprom, handle }
+		}
+
+		async function collect(eeprom, handle) {
+			const records = []
+			for await (const { version, data } of CyclicFS.list(eeprom, handle)) { records.push({ version, data: [ ...data ] }) }
+			return records
+		}
+
+		it('should export NDJSON', async () => {
+			const { eeprom, handle } = await setup(10)
+
+			const lines = (await CyclicFS.export(eeprom, handle)).trimEnd().split('\n').map(line => JSON.parse(line))
+			const [ manifest, ...records ] = lines
+
+			assert.equal(manifest.format, 'cyclic-fs')
+			assert.equal(manifest.formatVersion, 1)
+			assert.equal(manifest.options.stride, 8)
+			assert.equal(manifest.options.byteLength, 64)
+			assert.equal(manifest.options.littleEndian, true)
+
+			assert.deepEqual(records.map(({ version }) => version), [ 2, 3, 4, 5, 6, 7, 8, 9 ])
+			assert.equal(records.at(-1).data, btoa(String.fromCharCode(9, 0xA9, 0xFF, 0xFF)))
+		})
+
+		it('should import onto the same layout', async () => {
+			const { eeprom, handle } = await setup(10)
+			const text = await CyclicFS.export(eeprom, handle)
+
+			const target = new MemoryEEPROM(128)
+			const imported = await CyclicFS.import(target, text)
+			assert.equal(imported.version, 9)
+			assert.deepEqual(await collect(target, imported), await collect(eeprom, handle))
+
+			// and carries on from the kept version
+			await CyclicFS.write(target, imported, Uint8Array.from([ 42 ]))
+			assert.equal((await CyclicFS.init(target, 64, options)).version, 10)
+		})
+
+		it('should export records larger then the argument limit', async () => {
+			const largeOptions = { stride: 0x4_00_00 }
+			const eeprom = new MemoryEEPROM(2 * largeOptions.stride)
+			await CyclicFS.format(eeprom, eeprom.byteLength, largeOptions)
+			const handle = await CyclicFS.init(eeprom, eeprom.byteLength, largeOptions)
+
+			const data = Uint8Array.from({ length: CyclicFS.maxRecordLength(handle) }, (_, index) => index & 0xFF)
+			await CyclicFS.write(eeprom, handle, data)
+
+			const text = await CyclicFS.export(eeprom, handle)
+			const target = new MemoryEEPROM(eeprom.byteLength)
+			const imported = await CyclicFS.import(target, text)
+			assert.deepEqual(new Uint8Array(await CyclicFS.read(target, imported)), data)
+		})
+
+		it('should import onto a different layout', async () => {
+			const { eeprom, handle } = await setup(10)
+			const text = await CyclicFS.export(eeprom, handle)
+
+			const target = new MemoryEEPROM(256)
+			const targetOptions = { baseAddress: 32, byteLength: 160, stride: 16, storeLength: true, superblock: true, littleEndian: false }
+			const imported = await CyclicFS.import(target, text, targetOptions)
+
+			const mounted = await CyclicFS.mount(target, 32)
+			assert.equal(mounted.stride, 16)
+			assert.equal(mounted.version, 9)
+			assert.deepEqual((await collect(target, imported)).map(({ version }) => version), [ 9, 8, 7, 6, 5, 4, 3, 2 ])
+			assert.deepEqual((await collect(target, imported))[0].data, [ 9, 0xA9, 0xFF, 0xFF ])
+		})
+
+		it('should truncate onto a smaller stride', async () => {
+			const wide = { stride: 16, storeLength: true }
+			const { eeprom, handle } = await setup(0, wide)
+			await CyclicFS.write(eeprom, handle, Uint8Array.from([ 1, 2, 3, 4, 5, 6 ]))
+
+			const target = new MemoryEEPROM(64)
+			const imported = await CyclicFS.import(target, await CyclicFS.export(eeprom, handle), { stride: 8, storeLength: false })
+			assert.deepEqual(await collect(target, imported), [ { version: 0, data: [ 1, 2, 3, 4 ] } ])
+		})
+
+		it('should keep versions of spanning records', async () => {
+			const spanOptions = { stride: 8, span: true }
+			const { eeprom, handle } = await setup(0, spanOptions)
+			await CyclicFS.write(eeprom, handle, Uint8Array.from([ 1, 2, 3, 4, 5 ]))
+			await CyclicFS.write(eeprom, handle, Uint8Array.from([ 6 ]))
+
+			const target = new MemoryEEPROM(128)
+			const imported = await CyclicFS.import(target, await CyclicFS.export(eeprom, handle), { byteLength: 128, stride: 12, span: true, storeLength: true })
+			assert.deepEqual(await collect(target, imported), [
+				{ version: 3, data: [ 6, 0xFF ] },
+				{ version: 2, data: [ 1, 2, 3, 4, 5, 0xFF ] }
+			])
+		})
+
+		it('should reject versions not fitting the target layout', async () => {
+			const { eeprom, handle } = await setup(3)
+			const text = await CyclicFS.export(eeprom, handle)
+
+			// each record needs two slots, but versions are consecutive
+			const target = new MemoryEEPROM(128)
+			await assert.rejects(async () => await CyclicFS.import(target, text, { stride: 7, span: true }), /version conflict/)
+		})
+
+		it('should reject unknown input', async () => {
+			const target = new MemoryEEPROM(64)
+			await assert.rejects(async () => await CyclicFS.import(target, ''), /empty export/)
+			await assert.rejects(async () => await CyclicFS.import(target, '{"format":"other"}\n'), /not an export/)
+			await assert.rejects(async () => await CyclicFS.import(target, '{"format":"cyclic-fs","formatVersion":2}\n'), /unsupported export version/)
+		})
+	})
+
+	describe('version width', () => {
+		async function setup(versionWidth, extraOptions = undefined) {
+			const options = { stride: 16, storeLength: true, versionWidth, ...extraOptions }
+			const eeprom = new MemoryEEPROM(128)
+			await CyclicFS.format(eeprom, eeprom.byteLength, options)
+			const handle = await CyclicFS.init(eeprom, eeprom.byteLength, options)
+			return { eeprom, handle, options }
+		}
+
+		it('should size the header by width', () => {
+			assert.equal(CyclicFS.headerSize({ versionWidth: 16 }), 2)
+			assert.equal(CyclicFS.headerSize(), HEADER_SIZE)
+			assert.equal(CyclicFS.headerSize({ versionWidth: 64, storeLength: true }), 8 + 2)
+			assert.throws(() => CyclicFS.headerSize({ versionWidth: 24 }), /unknown version width/)
+		})
+
+		it('should reject rings of half the version space', async () => {
+			const options = { stride: 4, versionWidth: 16 }
+			const eeprom = new MemoryEEPROM(0x80_00 * options.stride)
+
+			await assert.rejects(async () => await CyclicFS.format(eeprom, eeprom.byteLength, options), /too many slots for version width/)
+			await assert.rejects(async () => await CyclicFS.init(eeprom, eeprom.byteLength, options), /too many slots for version width/)
+
+			const byteLength = 0x7F_FF * options.stride
+			await CyclicFS.format(eeprom, byteLength, options)
+			const handle = await CyclicFS.init(eeprom, byteLength, options)
+			assert.equal(CyclicFS.slotCount(handle), 0x7F_FF)
+
+			await CyclicFS.format(eeprom, eeprom.byteLength, { ...options, versionWidth: 32 })
+		})
+
+		it('should increment and compare across roll over', () => {
+			assert.equal(incrementVersion(0xFF_FD, undefined, 16), 0xFF_FE)
+			assert.equal(incrementVersion(0xFF_FE, undefined, 16), 0)
+			assert.ok(compareVersion(0, 0xFF_FE, 16) > 0)
+			assert.ok(compareVersion(0x7F_FF, 0, 16) > 0)
+			assert.ok(compareVersion(0x80_01, 0, 16) < 0)
+
+			assert.equal(incrementVersion((2n ** 64n) - 2n), 0n)
+			assert.ok(compareVersion(0n, (2n ** 64n) - 2n) > 0)
+			assert.equal(erasedMarker(0xFF, 64), (2n ** 64n) - 1n)
+			assert.equal(erasedMarker(0x00, 16), 0)
+		})
+
+		for(const fullScan of [ false, true ]) {
+			it(`should write and search 16-bit versions across roll over${fullScan ? ' (full scan)' : ''}`, async () => {
+				const { eeprom, handle, options } = await setup(16, { fullScan })
+				handle.version = 0xFF_FC
+
+				for(const value of [ 1, 2, 3, 4, 5 ]) { await CyclicFS.write(eeprom, handle, Uint8Array.from([ value ])) }
+				assert.equal(handle.version, 1)
+
+				const reloaded = await CyclicFS.init(eeprom, eeprom.byteLength, options)
+				assert.equal(reloaded.version, 1)
+				assert.equal(reloaded.offset, handle.offset)
+				assert.deepEqual([ ...await CyclicFS.read(eeprom, reloaded) ], [ 5 ])
+
+				const versions = []
+				for await (const { version } of CyclicFS.list(eeprom, reloaded)) { versions.push(version) }
+				assert.deepEqual(versions, [ 1, 0, 0xFF_FE, 0xFF_FD, 0xFF_FC ])
+			})
+		}
+
+		it('should use bigint versions for 64-bit', async () => {
+			const { eeprom, handle, options } = await setup(64)
+			assert.equal(handle.version, 0n)
+
+			handle.version = (2n ** 64n) - 3n
+			await CyclicFS.write(eeprom, handle, Uint8Array.from([ 1 ]))
+			await CyclicFS.write(eeprom, handle, Uint8Array.from([ 2 ]))
+			await CyclicFS.write(eeprom, handle, Uint8Array.from([ 3 ]))
+			assert.equal(handle.version, 0n)
+
+			const reloaded = await CyclicFS.init(eeprom, eeprom.byteLength, options)
+			assert.equal(reloaded.version, 0n)
+			assert.equal(reloaded.offset, 32)
+			assert.deepEqual([ ...await CyclicFS.read(eeprom, reloaded) ], [ 3 ])
+
+			// number versions are accepted
+			assert.deepEqual([ ...await CyclicFS.readVersion(eeprom, reloaded, (2n ** 64n) - 2n) ], [ 2 ])
+			const versions = []
+			for await (const { version } of CyclicFS.list(eeprom, reloaded, { fromVersion: 0 })) { versions.push(version) }
+			assert.deepEqual(versions, [ 0n ])
+
+			assert.equal((await CyclicFS.check(eeprom, reloaded)).ok, true)
+			assert.equal((await CyclicFS.stats(eeprom, reloaded)).totalWrites, 1)
+		})
+
+		it('should mark bad slots using the width', async () => {
+			const { eeprom, handle, options } = await setup(16, { verify: true })
+			await CyclicFS.write(eeprom, handle, Uint8Array.from([ 1 ]))
+			await CyclicFS.write(eeprom, handle, Uint8Array.from([ 2 ]))
+
+			// the bad marker is the erased marker with the top bit flipped
+			await eeprom.write(32, Uint8Array.from([ 0x7F, 0xFF ]))
+			await CyclicFS.write(eeprom, handle, Uint8Array.from([ 3 ]))
+			assert.equal(handle.offset, 48)
+
+			const reloaded = await CyclicFS.init(eeprom, eeprom.byteLength, options)
+			assert.equal(reloaded.version, 2)
+			assert.equal((await CyclicFS.stats(eeprom, reloaded)).badSlots, 1)
+		})
+
+		it('should record the width in the superblock', async () => {
+			const { eeprom, handle } = await setup(64, { superblock: true })
+			await CyclicFS.write(eeprom, handle, Uint8Array.from([ 1 ]))
+
+			assert.equal((await CyclicFS.readSuperblock(eeprom)).versionWidth, 64)
+			const mounted = await CyclicFS.mount(eeprom)
+			assert.equal(mounted.versionWidth, 64)
+			assert.equal(mounted.version, 0n)
+
+			await assert.rejects(async () => await CyclicFS.init(eeprom, eeprom.byteLength, { stride: 16, storeLength: true, superblock: true }), /superblock miss-match/)
+		})
+
+		it('should export and import 64-bit versions', async () => {
+			const { eeprom, handle } = await setup(64)
+			handle.version = (2n ** 64n) - 3n
+			await CyclicFS.write(eeprom, handle, Uint8Array.from([ 1 ]))
+			await CyclicFS.write(eeprom, handle, Uint8Array.from([ 2 ]))
+
+			const text = await CyclicFS.export(eeprom, handle)
+			assert.match(text, /"version":"18446744073709551614"/)
+
+			const target = new MemoryEEPROM(128)
+			const imported = await CyclicFS.import(target, text)
+			assert.equal(imported.versionWidth, 64)
+			assert.equal(imported.version, (2n ** 64n) - 2n)
+			assert.deepEqual([ ...await CyclicFS.readVersion(target, imported, (2n ** 64n) - 3n) ], [ 1 ])
+
+			await assert.rejects(async () => await CyclicFS.import(new MemoryEEPROM(128), text, { versionWidth: 32 }), /invalid version/)
+		})
+
+		it('should probe 16-bit images', async () => {
+			const { eeprom, handle } = await setup(16, { littleEndian: true, storeLength: false })
+			for(const value of [ 1, 2, 3 ]) { await CyclicFS.write(eeprom, handle, Uint8Array.from([ value ])) }
+
+			const [ best ] = await CyclicFS.probe(eeprom, eeprom.byteLength)
+			assert.equal(best.versionWidth, 16)
+			assert.equal(best.littleEndian, true)
+			assert.equal(best.stride, 16)
+		})
+	})
+
+	describe('crypto', () => {
+		const aesKey = crypto.subtle.generateKey({ name: 'AES-GCM', length: 128 }, false, [ 'encrypt', 'decrypt' ])
+		const hmacKey = crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, [ 'sign', 'verify' ])
+
+		async function setup(extraOptions) {
+			const options = { stride: 64, ...extraOptions }
+			const eeprom = new MemoryEEPROM(256)
+			await CyclicFS.format(eeprom, 256, options)
+			const handle = await CyclicFS.init(eeprom, 256, options)
+			return { eeprom, handle, options }
+		}
+
+		it('should account for the overhead in the header size', () => {
+			assert.equal(CyclicFS.headerSize({ crypto: 'aes-gcm' }), HEADER_SIZE + 28)
+			assert.equal(CyclicFS.headerSize({ crypto: 'hmac', checksum: CHECKSUM_CRC8 }), HEADER_SIZE + 1 + 16)
+		})
+
+		it('should encrypt the stored data', async () => {
+			const { eeprom, handle } = await setup({ crypto: 'aes-gcm', key: await aesKey, storeLength: true })
+			const secret = new TextEncoder().encode('password')
+			await CyclicFS.write(eeprom, handle, secret)
+
+			const raw = new Uint8Array(await eeprom.read(0, 64))
+			assert.equal(new TextDecoder().decode(raw).includes('password'), false)
+
+			assert.deepEqual([ ...await CyclicFS.read(eeprom, handle) ], [ ...secret ])
+		})
+
+		for(const [ mode, key ] of [ [ 'aes-gcm', aesKey ], [ 'hmac', hmacKey ] ]) {
+			it(`should skip tampered slots (${mode})`, async () => {
+				const { eeprom, handle, options } = await setup({ crypto: mode, key: await key })
+				await CyclicFS.write(eeprom, handle, Uint8Array.from([ 1 ]))
+				await CyclicFS.write(eeprom, handle, Uint8Array.from([ 2 ]))
+
+				// flip a bit of the newest payload
+				const u8 = new Uint8Array(await eeprom.read(64 + 63, 1))
+				await eeprom.write(64 + 63, Uint8Array.from([ u8[0] ^ 0x01 ]))
+
+				const reloaded = await CyclicFS.init(eeprom, 256, options)
+				assert.equal(reloaded.version, 0)
+				assert.equal([ ...await CyclicFS.read(eeprom, reloaded) ][0], 1)
+			})
+
+			it(`should reject replayed slots (${mode})`, async () => {
+				const { eeprom, handle, options } = await setup({ crypto: mode, key: await key })
+				await CyclicFS.write(eeprom, handle, Uint8Array.from([ 1 ]))
+				await CyclicFS.write(eeprom, handle, Uint8Array.from([ 2 ]))
+
+				// copy the older slot over the newer one, claiming the newer version
+				const older = new Uint8Array(await eeprom.read(0, 64)).slice()
+				new DataView(older.buffer).setUint32(0, 1)
+				await eeprom.write(64, older)
+
+				const reloaded = await CyclicFS.init(eeprom, 256, options)
+				assert.equal(reloaded.version, 0)
+			})
+		}
+
+		it('should support span and checksum', async () => {
+			const { eeprom, handle } = await setup({ crypto: 'hmac', key: await hmacKey, span: true, storeLength: true, checksum: CHECKSUM_CRC16 })
+			const record = Uint8Array.from({ length: 100 }, (_, index) => index)
+			await CyclicFS.write(eeprom, handle, record)
+
+			assert.deepEqual([ ...await CyclicFS.read(eeprom, handle) ], [ ...record ])
+		})
+
+		it('should record crypto in the superblock', async () => {
+			const { eeprom, handle } = await setup({ crypto: 'aes-gcm', key: await aesKey, superblock: true })
+			await CyclicFS.write(eeprom, handle, Uint8Array.from([ 7 ]))
+
+			assert.equal((await CyclicFS.readSuperblock(eeprom)).crypto, 'aes-gcm')
+			const mounted = await CyclicFS.mount(eeprom, 0, { key: await aesKey })
+			assert.equal([ ...await CyclicFS.read(eeprom, mounted) ][0], 7)
+
+			await assert.rejects(async () => await CyclicFS.init(eeprom, 256, { stride: 64, superblock: true }), /superblock miss-match/)
+		})
+
+		it('should require a key', async () => {
+			const eeprom = new MemoryEEPROM(256)
+			await CyclicFS.format(eeprom, 256, { stride: 64, crypto: 'hmac' })
+			const handle = await CyclicFS.init(eeprom, 256, { stride: 64, crypto: 'hmac' })
+			await assert.rejects(async () => await CyclicFS.write(eeprom, handle, Uint8Array.from([ 1 ])), /key required/)
+		})
+	})
 })
@@ -0,0 +1,204 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+	CHECKSUM_CRC16,
+	CHECKSUM_NONE,
+	CyclicFS,
+	CyclicTransaction,
+	MemoryEEPROM
+} from '@johntalton/cyclic-fs'
+
+const CONFIG = { baseAddress: 0, stride: 16, storeLength: true, checksum: CHECKSUM_CRC16 }
+const CALIBRATION = { baseAddress: 128, stride: 16, storeLength: true, checksum: CHECKSUM_CRC16 }
+const JOURNAL = { baseAddress: 256, stride: 32, storeLength: true, span: true, checksum: CHECKSUM_CRC16 }
+
+class FailingEEPROM extends MemoryEEPROM {
+	writesLeft = Infinity
+
+	async write(offset, buffer) {
+		if(this.writesLeft <= 0) { throw new Error('power loss') }
+		this.writesLeft -= 1
+		return super.write(offset, buffer)
+	}
+}
+
+async function setup() {
+	const eeprom = new FailingEEPROM(512)
+	await CyclicFS.format(eeprom, 128, CONFIG)
+	await CyclicFS.format(eeprom, 128, CALIBRATION)
+	await CyclicFS.format(eeprom, 256, JOURNAL)
+	return { eeprom, ...await open(eeprom) }
+}
+
+async function open(eeprom) {
+	return {
+		config: await CyclicFS.init(eeprom, 128, CONFIG),
+		calibration: await CyclicFS.init(eeprom, 128, CALIBRATION),
+		journal: await CyclicFS.init(eeprom, 256, JOURNAL)
+	}
+}
+
+async function latest(eeprom, handle) {
+	const data = await CyclicFS.read(eeprom, handle)
+	return data === undefined ? undefined : [ ...data ]
+}
+
+describe('CyclicTransaction', () => {
+	it('should write every partition', async () => {
+		const { eeprom, config, calibration, journal } = await setup()
+
+		await CyclicTransaction.commit(eeprom, journal, [
+			{ handle: config, buffer: Uint8Array.from([ 1, 1 ]) },
+			{ handle: calibration, buffer: Uint8Array.from([ 2, 2, 2 ]) }
+		])
+
+		assert.deepEqual(await latest(eeprom, config), [ 1, 1 ])
+		assert.deepEqual(await latest(eeprom, calibration), [ 2, 2, 2 ])
+		assert.equal(journal.empty, false)
+
+		assert.equal(await CyclicTransaction.recover(eeprom, journal, [ config, calibration ]), 0)
+	})
+
+	it('should roll forward a committed group', async () => {
+		const { eeprom, config, calibration, journal } = await setup()
+		await CyclicTransaction.commit(eeprom, journal, [
+			{ handle: config, buffer: Uint8Array.from([ 1 ]) },
+			{ handle: calibration, buffer: Uint8Array.from([ 1 ]) }
+		])
+
+		// journal (two segments) and first partition written, power lost before the second
+		eeprom.writesLeft = 3
+		await assert.rejects(async () => await CyclicTransaction.commit(eeprom, journal, [
+			{ handle: config, buffer: Uint8Array.from([ 2 ]) },
+			{ handle: calibration, buffer: Uint8Array.from([ 2 ]) }
+		]), /power loss/)
+		eeprom.writesLeft = Infinity
+
+		const reopened = await open(eeprom)
+		assert.deepEqual(await latest(eeprom, reopened.config), [ 2 ])
+		assert.deepEqual(await latest(eeprom, reopened.calibration), [ 1 ])
+
+		assert.equal(await CyclicTransaction.recover(eeprom, reopened.journal, [ reopened.config, reopened.calibration ]), 1)
+		assert.deepEqual(await latest(eeprom, reopened.config), [ 2 ])
+		assert.deepEqual(await latest(eeprom, reopened.calibration), [ 2 ])
+	})
+
+	it('should roll forward into empty partitions', async () => {
+		const { eeprom, config, calibration, journal } = await setup()
+
+		// journal (two segments) written, power lost before either partition
+		eeprom.writesLeft = 2
+		await assert.rejects(async () => await CyclicTransaction.commit(eeprom, journal, [
+			{ handle: config, buffer: Uint8Array.from([ 3 ]) },
+			{ handle: calibration, buffer: Uint8Array.from([ 4 ]) }
+		]))
+		eeprom.writesLeft = Infinity
+
+		const reopened = await open(eeprom)
+		assert.equal(await CyclicTransaction.recover(eeprom, reopened.journal, [ reopened.config, reopened.calibration ]), 2)
+		assert.deepEqual(await latest(eeprom, reopened.config), [ 3 ])
+		assert.deepEqual(await latest(eeprom, reopened.calibration), [ 4 ])
+	})
+
+	it('should not apply an uncommitted group', async () => {
+		const { eeprom, config, calibration, journal } = await setup()
+		await CyclicTransaction.commit(eeprom, journal, [
+			{ handle: config, buffer: Uint8Array.from([ 1 ]) },
+			{ handle: calibration, buffer: Uint8Array.from([ 1 ]) }
+		])
+
+		// power lost while writing the (spanning) journal record
+		eeprom.writesLeft = 1
+		await assert.rejects(async () => await CyclicTransaction.commit(eeprom, journal, [
+			{ handle: config, buffer: new Uint8Array(10).fill(2) },
+			{ handle: calibration, buffer: new Uint8Array(10).fill(2) }
+		]))
+		eeprom.writesLeft = Infinity
+
+		const reopened = await open(eeprom)
+		assert.equal(await CyclicTransaction.recover(eeprom, reopened.journal, [ reopened.config, reopened.calibration ]), 0)
+		assert.deepEqual(await latest(eeprom, reopened.config), [ 1 ])
+		assert.deepEqual(await latest(eeprom, reopened.calibration), [ 1 ])
+	})
+
+	it('should roll forward partitions of any version width', async () => {
+		const eeprom = new FailingEEPROM(512)
+		const wide = { ...CONFIG, versionWidth: 64 }
+		const narrow = { ...CALIBRATION, versionWidth: 16 }
+		await CyclicFS.format(eeprom, 128, wide)
+		await CyclicFS.format(eeprom, 128, narrow)
+		await CyclicFS.format(eeprom, 256, JOURNAL)
+
+		const reopen = async () => ({
+			config: await CyclicFS.init(eeprom, 128, wide),
+			calibration: await CyclicFS.init(eeprom, 128, narrow),
+			journal: await CyclicFS.init(eeprom, 256, JOURNAL)
+		})
+
+		const { config, calibration, journal } = await reopen()
+		await CyclicTransaction.commit(eeprom, journal, [
+			{ handle: config, buffer: Uint8Array.from([ 1 ]) },
+			{ handle: calibration, buffer: Uint8Array.from([ 1 ]) }
+		])
+
+		// journal (two segments) and first partition written
+		eeprom.writesLeft = 3
+		await assert.rejects(async () => await CyclicTransaction.commit(eeprom, journal, [
+			{ handle: config, buffer: Uint8Array.from([ 2 ]) },
+			{ handle: calibration, buffer: Uint8Array.from([ 2 ]) }
+		]))
+		eeprom.writesLeft = Infinity
+
+		const reopened = await reopen()
+		assert.equal(await CyclicTransaction.recover(eeprom, reopened.journal, [ reopened.config, reopened.calibration ]), 1)
+		assert.equal(reopened.config.version, 1n)
+		assert.equal(reopened.calibration.version, 1)
+		assert.deepEqual(await latest(eeprom, reopened.calibration), [ 2 ])
+	})
+
+	it('should reject invalid transactions before writing', async () => {
+		const { eeprom, config, calibration, journal } = await setup()
+
+		await assert.rejects(async () => await CyclicTransaction.commit(eeprom, journal, [
+			{ handle: config, buffer: Uint8Array.from([ 1 ]) },
+			{ handle: config, buffer: Uint8Array.from([ 2 ]) }
+		]), /duplicate partition/)
+
+		await assert.rejects(async () => await CyclicTransaction.commit(eeprom, journal, [
+			{ handle: config, buffer: Uint8Array.from([ 1 ]) },
+			{ handle: calibration, buffer: new Uint8Array(64) }
+		]), /larger then partition/)
+
+		await assert.rejects(async () => await CyclicTransaction.commit(eeprom, journal, [
+			{ handle: journal, buffer: Uint8Array.from([ 1 ]) }
+		]), /journal in transaction/)
+
+		assert.equal(journal.empty, true)
+		assert.equal(config.empty, true)
+	})
+
+	it('should reject a journal without checksum', async () => {
+		const { eeprom, config } = await setup()
+		const unchecked = { ...JOURNAL, checksum: CHECKSUM_NONE }
+		await CyclicFS.format(eeprom, 256, unchecked)
+		const journal = await CyclicFS.init(eeprom, 256, unchecked)
+
+		await assert.rejects(async () => await CyclicTransaction.commit(eeprom, journal, [
+			{ handle: config, buffer: Uint8Array.from([ 1 ]) }
+		]), /journal requires checksum or crypto/)
+		await assert.rejects(async () => await CyclicTransaction.recover(eeprom, journal, [ config ]), /journal requires checksum or crypto/)
+
+		assert.equal(config.empty, true)
+	})
+
+	it('should reject unknown partitions on recover', async () => {
+		const { eeprom, config, calibration, journal } = await setup()
+		await CyclicTransaction.commit(eeprom, journal, [
+			{ handle: config, buffer: Uint8Array.from([ 1 ]) },
+			{ handle: calibration, buffer: Uint8Array.from([ 1 ]) }
+		])
+
+		await assert.rejects(async () => await CyclicTransaction.recover(eeprom, journal, [ config ]), /unknown partition/)
+	})
+})